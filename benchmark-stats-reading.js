@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+// Compare the ways of reading the stats file history: one `git show` per
+// commit with a full JSON.parse (how the extractor used to work) against the
+// batched reader, with full and with per-plugin parsing.
+//   node benchmark-stats-reading.js [plugin ids...] [--repo <path>] [--commits <n>]
+
+const { parseArgs } = require("util");
+const {
+  listStatsCommits,
+  readStatsSnapshot,
+  createSnapshotReader,
+} = require("./lib/stats-git");
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    repo: { type: "string", default: "." },
+    // Number of newest commits to read
+    commits: { type: "string", default: "200" },
+  },
+});
+
+const commits = listStatsCommits(options.repo).slice(
+  0,
+  parseInt(options.commits, 10),
+);
+if (commits.length === 0) {
+  console.error(`Error: No stats commits found in '${options.repo}'.`);
+  process.exit(1);
+}
+
+// Default to a few plugins of the newest snapshot
+const pluginIds =
+  positionals.length > 0
+    ? positionals
+    : Object.keys(readStatsSnapshot(commits[0].hash, options.repo)).slice(0, 3);
+
+console.log(
+  `Reading ${commits.length} commits for ${pluginIds.join(", ")} from ${
+    options.repo
+  }`,
+);
+
+function run(label, createReader) {
+  const start = process.hrtime.bigint();
+  const read = createReader();
+  const selected = commits.map((commit) => {
+    const snapshot = read(commit.hash);
+    return pluginIds.map((id) => snapshot[id] || null);
+  });
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { label, ms, result: JSON.stringify(selected) };
+}
+
+const runs = [
+  run(
+    "git show per commit",
+    () => (hash) => readStatsSnapshot(hash, options.repo),
+  ),
+  run("cat-file --batch, full parse", () =>
+    createSnapshotReader(commits, { repoPath: options.repo }),
+  ),
+  run("cat-file --batch, plugin keys only", () =>
+    createSnapshotReader(commits, { repoPath: options.repo, keys: pluginIds }),
+  ),
+];
+
+const baseline = runs[0];
+for (const { label, ms, result } of runs) {
+  if (result !== baseline.result) {
+    console.error(`Error: "${label}" read different data than the baseline.`);
+    process.exit(1);
+  }
+  console.log(
+    `${label.padEnd(36)}${ms.toFixed(0).padStart(8)} ms${(baseline.ms / ms)
+      .toFixed(1)
+      .padStart(8)}x`,
+  );
+}
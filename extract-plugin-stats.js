@@ -1,181 +1,161 @@
 #!/usr/bin/env node
 
-const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
+const { extractOptions } = require("./lib/cli-options");
+const { resolvePluginList } = require("./lib/plugin-resolver");
+const { readHistoryFile } = require("./lib/history");
+const { listStatsCommits, createSnapshotReader } = require("./lib/stats-git");
+const { updateStatsDb } = require("./lib/stats-db");
+const { checkPrereleaseMode } = require("./lib/versions");
+const { checkAnomalyStrategy } = require("./lib/anomalies");
+const { extractHistory } = require("./lib/extract");
 
 // Configuration
-// const pluginName = "some-plugin"; // Example: "some-plugin"
-const args = process.argv.slice(2);
-if (args.length === 0) {
-  console.error(
-    "Error: Plugin name must be provided as a command-line argument.",
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: extractOptions,
+});
+
+function printUsage() {
+  console.log(
+    "Usage: node extract-plugin-stats.js <plugin name, id, repo or author>... [--list <file>] [--combined <file>] [--full] [--rank] [--prereleases exclude|include|mark] [--anomalies neighbour|monotonic|mad|none] [--anomaly-report <file>] [--repo <path>] [--out-dir <directory>]",
+  );
+  console.log(
+    "       node extract-plugin-stats.js --all [--db <directory>] [--full] [--repo <path>]",
   );
-  console.log("Usage: node extract-plugin-stats.js <plugin-name>");
-  process.exit(1);
 }
-const pluginName = args[0];
-
-const statsFile = "community-plugin-stats.json";
-const outputFile = `${pluginName
-  .toLowerCase()
-  .replace(/\s+/g, "-")}-history.json`;
-
-console.log(`Extracting stats history for "${pluginName}" plugin...`);
-
-// Get git commits that modified the stats file
-const gitLogCommand = `git log --pretty=format:"%H %at" -- ${statsFile}`;
-const commits = execSync(gitLogCommand, { encoding: "utf8" })
-  .trim()
-  .split("\n")
-  .map((line) => {
-    const [hash, timestamp] = line.split(" ");
-    return { hash, timestamp: parseInt(timestamp) * 1000 }; // Convert to milliseconds
-  });
-
-console.log(`Found ${commits.length} commits that modified the stats file.`);
-
-// First phase: Collect all data points
-const rawData = [];
-
-// Loop through commits (newest to oldest)
-for (const commit of commits) {
-  try {
-    // Get stats file content at this commit
-    const fileContent = execSync(`git show ${commit.hash}:${statsFile}`, {
-      encoding: "utf8",
-    });
-    const statsData = JSON.parse(fileContent);
-
-    // Check if the plugin exists in this version of the file
-    if (!statsData[pluginName]) {
-      console.log(
-        `Plugin "${pluginName}" not found in commit ${commit.hash}. Assuming it was not released yet or data is unavailable for this commit. Stopping further processing for older commits.`,
-      );
-      break;
-    }
-
-    const pluginData = statsData[pluginName];
-    const downloads = pluginData.downloads || 0;
-    const date = new Date(commit.timestamp).toISOString().split("T")[0]; // Format as YYYY-MM-DD
 
-    // Create a record for this point in time
-    const dataPoint = {
-      hash: commit.hash,
-      timestamp: commit.timestamp,
-      date,
-      downloads,
-      versions: {},
-    };
-
-    // Add each version to the data object
-    for (const key in pluginData) {
-      // Skip non-version keys
-      if (key === "downloads" || key === "updated") continue;
-
-      // Skip beta releases (versions ending with "-beta")
-      if (key.endsWith("-beta")) {
-        console.log(`Skipping beta version: ${key}`);
-        continue;
-      }
-
-      // Add version info
-      dataPoint.versions[key] = pluginData[key];
-    }
+if (options.help) {
+  printUsage();
+  process.exit(0);
+}
 
-    rawData.push(dataPoint);
-    console.log(
-      `Collected data from ${date}: ${downloads} downloads with ${
-        Object.keys(dataPoint.versions).length
-      } versions`,
-    );
-  } catch (error) {
-    console.error(`Error processing commit ${commit.hash}: ${error.message}`);
-  }
+try {
+  checkPrereleaseMode(options.prereleases);
+  checkAnomalyStrategy(options.anomalies);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
 }
 
-// Sort raw data by timestamp (newest to oldest)
-rawData.sort((a, b) => b.timestamp - a.timestamp);
+// Whole-ecosystem mode: no plugin selection needed
+if (options.all) {
+  console.log(`Updating stats database in ${options.db}...`);
+  const commits = listStatsCommits(options.repo);
+  // The database is built oldest first, so read the snapshots in that order
+  updateStatsDb(
+    options.db,
+    commits,
+    createSnapshotReader(commits.slice().reverse(), { repoPath: options.repo }),
+    {
+      full: options.full,
+      repoPath: options.repo,
+      log: console.log,
+      logError: console.error,
+    },
+  );
+  process.exit(0);
+}
 
-// Second phase: Filter out anomalies
-const validData = [];
-let skippedCount = 0;
+const queries = [...positionals];
+if (options.list) {
+  queries.push(
+    ...fs
+      .readFileSync(options.list, "utf8")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#")),
+  );
+}
 
-for (let i = 0; i < rawData.length; i++) {
-  const current = rawData[i];
+if (queries.length === 0) {
+  console.error(
+    "Error: Plugin name must be provided as a command-line argument.",
+  );
+  printUsage();
+  process.exit(1);
+}
 
-  // Check if this point maintains monotonically decreasing download counts
-  let isValid = true;
+// community-plugin-stats.json is keyed by plugin id, so resolve whatever the
+// user passed (display name, id, repo slug or author) to the actual ids first
+let plugins;
+try {
+  plugins = resolvePluginList(queries, { repoPath: options.repo });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+const pluginIds = plugins.map((plugin) => plugin.id);
 
-  // Check against previous (newer in time) point if it exists
-  if (i > 0) {
-    const prev = rawData[i - 1];
-    if (current.downloads > prev.downloads) {
-      console.log(
-        `Anomaly detected: ${current.date} (${current.hash.substring(0, 8)}) ` +
-          `has ${current.downloads} downloads which is > previous ${prev.downloads}`,
-      );
-      isValid = false;
-    }
-  }
+console.log(
+  `Extracting stats history for ${plugins
+    .map((plugin) => `"${plugin.name}" (id: ${plugin.id})`)
+    .join(", ")}...`,
+);
 
-  // Check against next (older in time) point if it exists
-  if (i < rawData.length - 1) {
-    const next = rawData[i + 1];
-    if (current.downloads < next.downloads) {
-      console.log(
-        `Anomaly detected: ${current.date} (${current.hash.substring(0, 8)}) ` +
-          `has ${current.downloads} downloads which is < next ${next.downloads}`,
-      );
-      isValid = false;
+// Load previously extracted histories so that only commits newer than the
+// last recorded one have to be read from git
+fs.mkdirSync(options["out-dir"], { recursive: true });
+const historyFile = (pluginId) =>
+  path.join(options["out-dir"], `${pluginId}-history.json`);
+const existing = {};
+if (!options.full) {
+  const existingCombined = options.combined
+    ? readHistoryFile(options.combined)
+    : null;
+  for (const pluginId of pluginIds) {
+    const existingHistory = options.combined
+      ? existingCombined && existingCombined[pluginId]
+      : readHistoryFile(historyFile(pluginId));
+    if (existingHistory) {
+      existing[pluginId] = existingHistory;
     }
   }
-
-  if (isValid) {
-    validData.push(current);
-  } else {
-    skippedCount++;
-  }
 }
 
-console.log(`Filtered out ${skippedCount} anomalous data points`);
-
-// Third phase: Format the final result and calculate daily growth
-const history = {};
-let previousDownloads = 0;
-let previousTimestamp = 0;
-
-// Iterate from oldest to newest to calculate growth correctly
-for (let i = validData.length - 1; i >= 0; i--) {
-  const point = validData[i];
-  let dailyGrowth = 0;
-
-  if (i === validData.length - 1) {
-    // First data point (oldest)
-    dailyGrowth = point.downloads; // Growth from zero
-  } else {
-    const daysDifference =
-      (point.timestamp - previousTimestamp) / (1000 * 60 * 60 * 24);
-    const downloadDifference = point.downloads - previousDownloads;
-    dailyGrowth =
-      daysDifference > 0 ? Math.round(downloadDifference / daysDifference) : 0;
+// Points removed by earlier runs are no longer in the histories, so keep
+// their report entries when resuming
+const existingReport =
+  options["anomaly-report"] && !options.full
+    ? readHistoryFile(options["anomaly-report"])
+    : null;
+
+const { histories, anomalies } = extractHistory(options.repo, pluginIds, {
+  existing,
+  rank: options.rank,
+  prereleases: options.prereleases,
+  anomalies: options.anomalies,
+  earlierAnomalies: existingReport ? existingReport.plugins : {},
+  log: console.log,
+  logError: console.error,
+});
+
+// Write the results to one combined file or to one file per plugin
+if (options.combined) {
+  fs.writeFileSync(options.combined, JSON.stringify(histories, null, 2));
+  console.log(
+    `Saved histories for ${pluginIds.length} plugins to ${options.combined}`,
+  );
+} else {
+  for (const pluginId of pluginIds) {
+    const outputFile = historyFile(pluginId);
+    fs.writeFileSync(outputFile, JSON.stringify(histories[pluginId], null, 2));
+    console.log(
+      `Saved ${
+        Object.keys(histories[pluginId]).length
+      } data points to ${outputFile}`,
+    );
   }
+}
 
-  history[point.timestamp] = {
-    date: point.date,
-    data: {
-      downloads: point.downloads,
-      dailyGrowth: dailyGrowth,
-      ...point.versions,
-    },
+if (options["anomaly-report"]) {
+  const report = {
+    strategy: options.anomalies,
+    generated: new Date().toISOString(),
+    plugins: anomalies,
   };
-
-  previousDownloads = point.downloads;
-  previousTimestamp = point.timestamp;
+  fs.writeFileSync(options["anomaly-report"], JSON.stringify(report, null, 2));
+  console.log(`Saved anomaly report to ${options["anomaly-report"]}`);
 }
-
-// Write the results to a file
-fs.writeFileSync(outputFile, JSON.stringify(history, null, 2));
-console.log(
-  `Saved ${Object.keys(history).length} data points to ${outputFile}`,
-);
@@ -0,0 +1,126 @@
+// Library API behind the command line scripts. Everything returns plain data
+// (or HTML/SVG strings) and nothing writes files. Files are read only by the
+// read* helpers (readHistoryFile, readEventsFile, readThemeFile,
+// readReleaseInfo), the git readers (extractHistory, the plugin resolvers)
+// and standalone pages, which inline local copies of the chart libraries.
+//
+//   const stats = require("./index");
+//   const { histories } = stats.extractHistory(repoPath, ["dataview"]);
+//   const model = stats.computeVersionStats(histories.dataview);
+//   const { html, css } = stats.renderChart(model, {
+//     pluginName: "Dataview",
+//     cssFile: "dataview-downloads-chart.css",
+//   });
+
+const { extractHistory } = require("./lib/extract");
+const { computeVersionStats } = require("./lib/version-stats");
+const { renderChart, renderChartImage } = require("./lib/chart-page");
+const { renderComparisonChart } = require("./lib/compare-chart");
+const {
+  resolvePlugin,
+  resolveSinglePlugin,
+  resolvePluginList,
+} = require("./lib/plugin-resolver");
+const { readHistoryFile, historyToDataPoints } = require("./lib/history");
+const { strategies, filterAnomalies } = require("./lib/anomalies");
+const {
+  isPrerelease,
+  compareVersions,
+  versionLine,
+} = require("./lib/versions");
+const { groupModes, groupVersions } = require("./lib/version-groups");
+const { granularities, resampleDownloads } = require("./lib/resample");
+const {
+  findGaps,
+  dailyGrowthSeries,
+  rollingAverages,
+} = require("./lib/growth");
+const { releaseImpacts, welchTTest } = require("./lib/impact");
+const { readReleaseInfo, parseChangelog } = require("./lib/plugin-repo");
+const { readEventsFile, eventCategories } = require("./lib/events");
+const { themeNames, readThemeFile, resolveTheme } = require("./lib/themes");
+const {
+  paletteNames,
+  generateColors,
+  assignVersionColors,
+  colorDistance,
+} = require("./lib/colors");
+const {
+  forecastModels,
+  forecastDownloads,
+  estimateMilestones,
+} = require("./lib/forecast");
+const {
+  buildExports,
+  seriesColumns,
+  versionColumns,
+  periodColumns,
+  toCsv,
+  versionsMarkdown,
+} = require("./lib/exports");
+const { svgToPng } = require("./lib/svg-chart");
+
+module.exports = {
+  // Extraction: histories from an obsidian-releases clone, by plugin id
+  extractHistory,
+  resolvePlugin,
+  resolveSinglePlugin,
+  resolvePluginList,
+  readHistoryFile,
+  historyToDataPoints,
+
+  // Anomaly filtering of raw data points (newest first)
+  anomalyStrategies: strategies,
+  filterAnomalies,
+
+  // Version periods, release metrics and rolling averages of one history
+  computeVersionStats,
+  findGaps,
+  dailyGrowthSeries,
+  rollingAverages,
+  granularities,
+  resampleDownloads,
+  releaseImpacts,
+  welchTTest,
+  isPrerelease,
+  compareVersions,
+  versionLine,
+  groupModes,
+  groupVersions,
+
+  // Tags and release notes from the plugin's own clone
+  readReleaseInfo,
+  parseChangelog,
+
+  // Custom events to mark on the chart
+  readEventsFile,
+  eventCategories,
+
+  // Forecasts of the total downloads
+  forecastModels,
+  forecastDownloads,
+  estimateMilestones,
+
+  // Rendering: chart pages, comparison pages and static images
+  renderChart,
+  renderChartImage,
+  renderComparisonChart,
+  svgToPng,
+
+  // Color themes of the pages and images, and the version colors
+  themeNames,
+  readThemeFile,
+  resolveTheme,
+  paletteNames,
+  generateColors,
+  assignVersionColors,
+  colorDistance,
+
+  // Exports of the computed metrics
+  buildExports,
+  seriesColumns,
+  versionColumns,
+  periodColumns,
+  toCsv,
+  versionsMarkdown,
+};
@@ -0,0 +1,152 @@
+// Anomaly detection for download histories. Download counts only ever grow,
+// so data points that break that pattern are usually glitches in the stats
+// file. Every strategy takes raw data points ({ hash, timestamp, date,
+// downloads }) in any order and returns the points to keep (newest first)
+// plus an audit record for every removed point.
+
+const strategies = {
+  neighbour: detectByNeighbours,
+  monotonic: detectByLongestNonDecreasing,
+  mad: detectByMedianAbsoluteDeviation,
+  none: (points) => points.map(() => null),
+};
+
+function removal(point, rule, detail) {
+  return {
+    hash: point.hash,
+    timestamp: point.timestamp,
+    date: point.date,
+    downloads: point.downloads,
+    rule,
+    ...detail,
+  };
+}
+
+// Compare each point with its immediate neighbours: it must not have more
+// downloads than the newer point, nor fewer than the older one. This is the
+// original filter; a single spike can also discard the good points around it.
+function detectByNeighbours(points) {
+  return points.map((current, i) => {
+    const older = points[i - 1];
+    const newer = points[i + 1];
+    if (newer && current.downloads > newer.downloads) {
+      return removal(current, "neighbour", {
+        reason: `${current.downloads} downloads is more than the newer ${newer.downloads}`,
+        comparedTo: newer.hash,
+      });
+    }
+    if (older && current.downloads < older.downloads) {
+      return removal(current, "neighbour", {
+        reason: `${current.downloads} downloads is less than the older ${older.downloads}`,
+        comparedTo: older.hash,
+      });
+    }
+    return null;
+  });
+}
+
+// Keep the longest chronological run of points whose downloads never
+// decrease and remove the rest. Spikes and dips are dropped on their own,
+// without taking their neighbours with them.
+function detectByLongestNonDecreasing(points) {
+  // Patience sorting: tails[k] is the index of the smallest possible last
+  // point of a non-decreasing subsequence of length k + 1
+  const tails = [];
+  const previous = new Array(points.length).fill(-1);
+  points.forEach((point, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (points[tails[middle]].downloads <= point.downloads) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const kept = new Set();
+  for (let i = tails[tails.length - 1]; i !== undefined && i >= 0; ) {
+    kept.add(i);
+    i = previous[i];
+  }
+
+  return points.map((point, i) =>
+    kept.has(i)
+      ? null
+      : removal(point, "monotonic", {
+          reason: "not part of the longest non-decreasing run of downloads",
+        }),
+  );
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Hampel filter: flag points that are far from the median of the points
+// around them, measured in robust standard deviations (1.4826 * MAD). The
+// median of a window on a steady upward trend is its centre point, so only
+// real outliers stand out.
+function detectByMedianAbsoluteDeviation(
+  points,
+  { halfWindow = 3, threshold = 3.5 } = {},
+) {
+  return points.map((point, i) => {
+    const window = points
+      .slice(Math.max(0, i - halfWindow), i + halfWindow + 1)
+      .map((other) => other.downloads);
+    const windowMedian = median(window);
+    const mad = median(window.map((value) => Math.abs(value - windowMedian)));
+    // A floor of one download keeps flat histories from flagging every change
+    const scale = Math.max(1.4826 * mad, 1);
+    const score = Math.abs(point.downloads - windowMedian) / scale;
+    if (score <= threshold) {
+      return null;
+    }
+    return removal(point, "mad", {
+      reason: `${point.downloads} downloads is ${
+        Math.round(score * 10) / 10
+      } robust deviations from the local median ${windowMedian}`,
+      median: windowMedian,
+      mad,
+      score: Math.round(score * 100) / 100,
+    });
+  });
+}
+
+// Validate an --anomalies option value
+function checkAnomalyStrategy(strategy) {
+  if (!strategies[strategy]) {
+    throw new Error(
+      `Unknown anomaly strategy "${strategy}", expected one of: ${Object.keys(
+        strategies,
+      ).join(", ")}`,
+    );
+  }
+  return strategy;
+}
+
+// Run a strategy and split the points into kept (newest first, the order the
+// extractor builds histories in) and removed (oldest first)
+function filterAnomalies(points, strategy = "neighbour") {
+  const detect = strategies[checkAnomalyStrategy(strategy)];
+  const chronological = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  const verdicts = detect(chronological);
+  const valid = chronological.filter((_, i) => !verdicts[i]).reverse();
+  const removed = verdicts.filter(Boolean);
+  return { valid, removed };
+}
+
+module.exports = {
+  strategies: Object.keys(strategies),
+  checkAnomalyStrategy,
+  filterAnomalies,
+};
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+
+// Third-party scripts and styles used by the generated pages, pinned to the
+// versions the page code is written against (the annotation plugin's 3.x
+// API, e.g. label.display). By default they are loaded from jsDelivr;
+// standalone pages inline local copies of the same versions instead, taken
+// from the vendor directory or an installed npm package.
+const assets = {
+  "chart.js": {
+    package: "chart.js",
+    version: "4.5.1",
+    file: "dist/chart.umd.min.js",
+  },
+  "chartjs-adapter-date-fns": {
+    package: "chartjs-adapter-date-fns",
+    version: "3.0.0",
+    file: "dist/chartjs-adapter-date-fns.bundle.min.js",
+  },
+  "chartjs-plugin-annotation": {
+    package: "chartjs-plugin-annotation",
+    version: "3.1.0",
+    file: "dist/chartjs-plugin-annotation.min.js",
+  },
+  nouislider: {
+    package: "nouislider",
+    version: "15.7.0",
+    file: "dist/nouislider.min.js",
+  },
+  "nouislider-css": {
+    package: "nouislider",
+    version: "15.7.0",
+    file: "dist/nouislider.min.css",
+    stylesheet: true,
+  },
+};
+
+// jsDelivr URL of an asset, e.g.
+// https://cdn.jsdelivr.net/npm/chart.js@4.5.1/dist/chart.umd.min.js
+function assetUrl(asset) {
+  return `https://cdn.jsdelivr.net/npm/${asset.package}@${asset.version}/${asset.file}`;
+}
+
+// Version of an installed npm package, null if unreadable
+function installedVersion(packageDir) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(packageDir, "package.json"), "utf8"),
+    ).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Candidate locations of a local copy: <vendorDir>/<package>@<version>/<file
+// name> first (the layout of the jsDelivr URLs), then the package in
+// node_modules directories above the working directory and this script,
+// if the installed version is the pinned one. Packages are looked up by path
+// because their "exports" often hide dist/.
+function assetCandidates(asset, vendorDir) {
+  const candidates = [
+    path.join(
+      vendorDir,
+      `${asset.package}@${asset.version}`,
+      path.basename(asset.file),
+    ),
+  ];
+  for (const start of [process.cwd(), __dirname]) {
+    let dir = path.resolve(start);
+    while (true) {
+      const packageDir = path.join(dir, "node_modules", asset.package);
+      if (installedVersion(packageDir) === asset.version) {
+        candidates.push(path.join(packageDir, asset.file));
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  }
+  return candidates;
+}
+
+function readLocalAsset(name, vendorDir) {
+  const asset = assets[name];
+  const file = assetCandidates(asset, vendorDir).find((candidate) =>
+    fs.existsSync(candidate),
+  );
+  if (!file) {
+    throw new Error(
+      `No local copy of ${name} ${
+        asset.version
+      } found for a standalone page. Place ${path.basename(
+        asset.file,
+      )} from ${assetUrl(asset)} in ${path.join(
+        vendorDir,
+        `${asset.package}@${asset.version}`,
+      )}/ or install the npm package (npm install ${asset.package}@${
+        asset.version
+      }).`,
+    );
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+// Keep inlined code from closing its own <script> or <style> element early
+function escapeInline(content, tag) {
+  return content.replace(new RegExp(`</${tag}`, "gi"), `<\\/${tag}`);
+}
+
+// Escape text for HTML content and attribute values
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// JSON for a value inside an inline <script>: escaping "<" keeps strings
+// from third-party data (release notes, plugin names) from closing the
+// element early with "</script>" or opening a comment with "<!--"
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+// <script>/<link> tags for the given assets, inlined when standalone
+function assetTags(names, { standalone = false, vendorDir = "vendor" } = {}) {
+  return names
+    .map((name) => {
+      const asset = assets[name];
+      if (!standalone) {
+        return asset.stylesheet
+          ? `<link rel="stylesheet" href="${assetUrl(asset)}">`
+          : `<script src="${assetUrl(asset)}"></script>`;
+      }
+      const content = readLocalAsset(name, vendorDir);
+      return asset.stylesheet
+        ? `<style>\n${escapeInline(content, "style")}\n</style>`
+        : `<script>\n${escapeInline(content, "script")}\n</script>`;
+    })
+    .join("\n    ");
+}
+
+// The page's own stylesheet: linked as a separate file, or inlined
+function stylesheetTag(cssFile, css, { standalone = false } = {}) {
+  return standalone
+    ? `<style>\n${escapeInline(css, "style")}\n</style>`
+    : `<link rel="stylesheet" href="${cssFile}">`;
+}
+
+module.exports = {
+  assets,
+  assetUrl,
+  escapeHtml,
+  scriptJson,
+  assetTags,
+  stylesheetTag,
+};
@@ -0,0 +1,2305 @@
+// The interactive chart page of one plugin, rendered from the model returned
+// by computeVersionStats(). Chart.js draws the page in the browser; the same
+// data can also be rendered as a static SVG image.
+
+const { assignVersionColors } = require("./colors");
+const {
+  forecastModels,
+  forecastHorizons,
+  forecastAllModels,
+} = require("./forecast");
+const {
+  escapeHtml,
+  scriptJson,
+  assetTags,
+  stylesheetTag,
+} = require("./assets");
+const { renderSvgChart } = require("./svg-chart");
+const { toTheme, themeScript } = require("./themes");
+const { pageStylesheet } = require("./page-style");
+const { granularities } = require("./resample");
+const { eventCategories } = require("./events");
+const { versionLine } = require("./versions");
+
+// Styles of the chart page on top of the shared ones, written next to it or
+// inlined when standalone
+const cssContent = `.slider-container {
+    margin: 20px 0;
+    padding: 0 10px;
+}
+#time-slider {
+    height: 10px;
+    margin-top: 40px;
+}
+.time-display {
+    display: flex;
+    justify-content: space-between;
+    margin-top: 15px;
+}
+.version-list {
+    margin-top: 30px;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 10px;
+}
+.version-tag {
+    border-radius: 16px;
+    padding: 5px 12px;
+    font-size: 14px;
+    color: white;
+}
+.stats {
+    margin-top: 20px;
+    display: flex;
+    justify-content: space-around;
+    background-color: var(--surface-muted);
+    border-radius: 8px;
+    padding: 15px;
+}
+.stat-box {
+    text-align: center;
+}
+.stat-value {
+    font-size: 24px;
+    font-weight: bold;
+    color: var(--accent);
+}
+.stat-label {
+    font-size: 14px;
+    color: var(--text-muted);
+}
+.noUi-target {
+    background: var(--surface-muted);
+    border-color: var(--border);
+    box-shadow: none;
+}
+.noUi-connect {
+    background: var(--accent);
+}
+.noUi-handle {
+    border-radius: 50%;
+    width: 20px !important;
+    height: 20px !important;
+    right: -10px !important;
+    top: -5px !important;
+    background: var(--surface);
+    border: 1px solid var(--accent);
+    box-shadow: 0 1px 5px var(--shadow);
+    cursor: grab;
+}
+.noUi-handle::before, .noUi-handle::after {
+    display: none;
+}
+.reset-zoom {
+    position: absolute;
+    top: 10px;
+    right: 10px;
+    padding: 5px 10px;
+    background-color: var(--surface-muted);
+    color: var(--text);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 12px;
+}
+.table-controls {
+    justify-content: flex-start;
+    align-items: center;
+    margin: 30px 0 0;
+}
+.table-controls input[type="search"] {
+    min-width: 260px;
+    padding: 5px 8px;
+    background-color: var(--surface);
+    color: var(--text);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+}
+.version-table {
+    width: 100%;
+    border-collapse: collapse;
+    margin-top: 15px;
+    box-shadow: 0 2px 8px var(--shadow);
+    border-radius: 8px;
+    overflow: hidden;
+    font-size: 13px;
+}
+.version-table th {
+    background-color: var(--surface-muted);
+    padding: 10px 12px;
+    text-align: left;
+    font-weight: 600;
+    font-size: 13px;
+    color: var(--text);
+    border-bottom: 2px solid var(--border);
+    white-space: nowrap;
+}
+.version-table td {
+    padding: 8px 12px;
+    border-bottom: 1px solid var(--border-muted);
+    font-size: 13px;
+}
+.version-table tr:last-child td {
+    border-bottom: none;
+}
+.version-table tr:hover {
+    background-color: var(--surface-muted);
+}
+.version-table th[data-sort] {
+    cursor: pointer;
+    user-select: none;
+}
+.version-table th[aria-sort="ascending"]::after {
+    content: " ▲";
+    font-size: 10px;
+}
+.version-table th[aria-sort="descending"]::after {
+    content: " ▼";
+    font-size: 10px;
+}
+.version-table tbody tr[data-start] {
+    cursor: pointer;
+}
+.version-table tr.highlighted td {
+    background-color: var(--surface-muted);
+}
+.version-table tr.highlighted td:first-child {
+    box-shadow: inset 3px 0 0 var(--accent);
+}
+.version-color {
+    display: inline-block;
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    margin-right: 6px;
+    vertical-align: middle;
+}
+.version-name {
+    font-weight: 600;
+    vertical-align: middle;
+}
+.positive-change {
+    color: var(--positive);
+}
+.section-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    flex-wrap: wrap;
+    gap: 10px;
+    margin-top: 30px;
+}
+.section-header h2 {
+    font-size: 18px;
+    color: var(--text);
+    margin: 0;
+}
+.view-toggle button {
+    padding: 5px 10px;
+    background-color: var(--surface-muted);
+    color: var(--text);
+    border: 1px solid var(--border);
+    cursor: pointer;
+    font-size: 12px;
+}
+.view-toggle button:first-child {
+    border-radius: 4px 0 0 4px;
+}
+.view-toggle button:last-child {
+    border-radius: 0 4px 4px 0;
+    border-left: none;
+}
+.view-toggle button:not(:first-child):not(:last-child) {
+    border-radius: 0;
+    border-left: none;
+}
+.view-toggle button.active {
+    background-color: var(--accent);
+    border-color: var(--accent);
+    color: var(--accent-text);
+}
+.prerelease-row {
+    color: var(--text-muted);
+    font-style: italic;
+}
+.prerelease-color {
+    background-color: transparent;
+    border: 2px dashed var(--prerelease);
+    box-sizing: border-box;
+}
+.prerelease-tag {
+    font-size: 11px;
+    background-color: var(--border-muted);
+    border-radius: 8px;
+    padding: 1px 6px;
+    margin-left: 4px;
+    font-style: normal;
+}
+.group-row td {
+    background-color: var(--surface-muted);
+}
+.group-toggle {
+    width: 20px;
+    padding: 0;
+    margin-right: 4px;
+    background: none;
+    border: none;
+    color: var(--text-muted);
+    cursor: pointer;
+    font-size: 14px;
+}
+.group-count {
+    font-size: 11px;
+    color: var(--text-muted);
+    margin-left: 4px;
+}
+.group-member td:first-child {
+    padding-left: 36px;
+}
+.forecast-controls {
+    display: flex;
+    align-items: center;
+    gap: 15px;
+    font-size: 14px;
+    color: var(--text);
+}
+.forecast-controls select {
+    margin-left: 6px;
+    padding: 3px 6px;
+}
+.milestones .stat-value {
+    font-size: 18px;
+}
+.milestone-range {
+    font-size: 12px;
+    color: var(--text-muted);
+}
+.breakdown-container {
+    height: 40vh;
+    margin-top: 10px;
+}
+.impact-bump {
+    color: var(--positive);
+    font-weight: 600;
+}
+.impact-drop {
+    color: var(--negative);
+    font-weight: 600;
+}
+.impact-none {
+    color: var(--text-muted);
+}
+.impact-chart {
+    display: block;
+}
+.impact-before {
+    fill: var(--impact-before);
+}
+.impact-release {
+    fill: var(--impact-release);
+}
+.impact-average {
+    stroke: var(--impact-average);
+    stroke-width: 1.5;
+}
+.event-filter label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    cursor: pointer;
+}
+.event-swatch {
+    display: inline-block;
+    width: 12px;
+    height: 12px;
+    border-radius: 2px;
+}
+.release-notes summary {
+    cursor: pointer;
+    color: var(--text-muted);
+    font-size: 12px;
+}
+.release-notes-text {
+    margin: 6px 0 0;
+    max-width: 360px;
+    white-space: pre-wrap;
+    font-family: inherit;
+    font-size: 12px;
+    color: var(--text);
+}`;
+
+const periodNames = {
+  day: "Day",
+  week: "Week",
+  month: "Month",
+  quarter: "Quarter",
+};
+
+// Rolling average line styles, with theme colors: orange, blue, then green
+// and grey for any further windows. The first two get a subtle fill.
+const rollingStyles = [
+  {
+    color: "rolling1",
+    fill: 0.15,
+    width: 3,
+    dash: [], // Solid line
+  },
+  {
+    color: "rolling2",
+    fill: 0.15,
+    width: 3.5,
+    dash: [8, 4], // Long dash
+  },
+  { color: "rolling3", fill: null, width: 3, dash: [2, 4] },
+  { color: "rolling4", fill: null, width: 2.5, dash: [12, 4, 2, 4] },
+];
+
+function rollingStyle(index) {
+  return rollingStyles[Math.min(index, rollingStyles.length - 1)];
+}
+
+// Impact column text: the relative change of the daily growth, with an
+// arrow when it is significant
+function impactCell(impact) {
+  if (!impact) {
+    return `<td class="num-cell" title="Not enough data around the release">-</td>`;
+  }
+  const sign = impact.change > 0 ? "+" : "";
+  const change =
+    impact.changePercent === null
+      ? `${sign}${impact.change.toLocaleString()}/day`
+      : `${sign}${impact.changePercent}%`;
+  const arrow = { bump: " ▲", drop: " ▼", none: "" }[impact.impact];
+  const notes = [`p = ${impact.p}`];
+  if (impact.overlapping.length > 0) {
+    notes.push(
+      `other releases in the window: ${impact.overlapping
+        .map((version) => `v${version}`)
+        .join(", ")}`,
+    );
+  }
+  return `<td class="num-cell impact-${impact.impact}" title="${escapeHtml(
+    notes.join("; "),
+  )}">${change}${arrow}</td>`;
+}
+
+// Checkboxes showing and hiding the custom events of each category
+function eventFilter(events) {
+  if (events.length === 0) return "";
+  return `<div class="controls event-filter" id="event-filter">
+            <span>Events:</span>${eventCategories(events)
+              .map(
+                (category) => `
+            <label>
+                <input type="checkbox" data-category="${escapeHtml(
+                  category.name,
+                )}" checked>
+                <span class="event-swatch" style="background-color: ${escapeHtml(
+                  category.color,
+                )}"></span>${escapeHtml(category.name)} (${category.count})
+            </label>`,
+              )
+              .join("")}
+        </div>`;
+}
+
+// Release date as shown in the version table
+function tableDate(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+// Download change or average growth, green and signed when positive
+function changeCell(value) {
+  return `<td class="num-cell ${value > 0 ? "positive-change" : ""}">${
+    value > 0 ? "+" : ""
+  }${value.toLocaleString()}</td>`;
+}
+
+// Tag date and stats lag cells, shown when the plugin's clone was read
+function releaseInfoCells(release, hasReleaseInfo) {
+  if (!hasReleaseInfo) return "";
+  const tagDate = release.tagDate ? tableDate(release.tagDate) : "-";
+  const lag =
+    release.statsLagDays === null
+      ? "-"
+      : `${release.statsLagDays > 0 ? "+" : ""}${release.statsLagDays}`;
+  return `
+                        <td${
+                          release.tag
+                            ? ` title="${escapeHtml(release.tag)}"`
+                            : ""
+                        }>${tagDate}</td>
+                        <td class="num-cell">${lag}</td>`;
+}
+
+// Collapsible release notes below the version name
+function releaseNotes(release) {
+  if (!release.notes) return "";
+  return `
+                            <details class="release-notes">
+                                <summary>Release notes</summary>
+                                <pre class="release-notes-text">${escapeHtml(
+                                  release.notes,
+                                )}</pre>
+                            </details>`;
+}
+
+// Before/after mini-chart: bars of the downloads gained per day around the
+// release, grey before and in the version color after, with both averages.
+// The greys come from the theme through the impact-* classes.
+function impactChart(impact, color) {
+  if (!impact) return "-";
+  const width = 120;
+  const height = 32;
+  const barWidth = width / impact.daily.length;
+  const max = Math.max(
+    1,
+    ...impact.daily.map(([, gained]) => gained || 0),
+    impact.before,
+    impact.after,
+  );
+  const y = (value) => height - (Math.max(0, value) / max) * (height - 2);
+  const bars = impact.daily
+    .filter(([, gained]) => gained !== null)
+    .map(([offset, gained]) => {
+      const x = (offset + impact.days) * barWidth;
+      const fill =
+        offset < 0
+          ? ' class="impact-before"'
+          : offset === 0
+          ? ' class="impact-release"'
+          : ` fill="${color}"`;
+      return `<rect x="${x.toFixed(1)}" y="${y(gained).toFixed(1)}" width="${(
+        barWidth - 1
+      ).toFixed(1)}" height="${(height - y(gained)).toFixed(1)}"${fill}/>`;
+    })
+    .join("");
+  const middle = (impact.days * barWidth).toFixed(1);
+  const end = (impact.days + 1) * barWidth;
+  return `<svg class="impact-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><title>${
+    impact.days
+  } days before: ${impact.before.toLocaleString()}/day, after: ${impact.after.toLocaleString()}/day</title>${bars}<line x1="0" x2="${middle}" y1="${y(
+    impact.before,
+  ).toFixed(1)}" y2="${y(impact.before).toFixed(
+    1,
+  )}" class="impact-average"/><line x1="${end.toFixed(
+    1,
+  )}" x2="${width}" y1="${y(impact.after).toFixed(1)}" y2="${y(
+    impact.after,
+  ).toFixed(1)}" class="impact-average"/></svg>`;
+}
+
+// Start and end (timestamps) of the period in which the version released at
+// data point `index` was active: until the next release of any version, or
+// the last data point
+function activePeriod({ dataPoints, versionReleases }, index) {
+  const end = Math.min(
+    dataPoints.length - 1,
+    ...versionReleases
+      .filter((release) => release.index > index)
+      .map((release) => release.index),
+  );
+  return [dataPoints[index].date.getTime(), dataPoints[end].date.getTime()];
+}
+
+// Attributes of a table row with the period that clicking it zooms to
+function periodAttributes([start, end]) {
+  return ` data-start="${start}" data-end="${end}"`;
+}
+
+// Search box and filters above the version table. Superseded versions were
+// replaced by a later version at the data point where they appeared, so
+// they were never active.
+function tableControls({ versionTableRows }) {
+  const superseded = versionTableRows.filter(
+    (v) => !v.prerelease && v.durationDays === 0,
+  ).length;
+  return `<div class="controls table-controls">
+            <input type="search" id="version-search" placeholder="Search versions and release notes" aria-label="Search versions and release notes">${
+              superseded > 0
+                ? `
+            <label>
+                <input type="checkbox" id="hide-superseded">
+                Hide superseded versions (${superseded})
+            </label>`
+                : ""
+            }
+        </div>`;
+}
+
+// One row of the version table. Rows of the versions in a group are hidden
+// until the group is expanded.
+function versionRow(v, context, group = null) {
+  const {
+    versionColors,
+    firstVersionIdx,
+    hasReleaseInfo,
+    hasRank,
+    dataPoints,
+  } = context;
+  const member = group ? ` data-group="${escapeHtml(group.key)}" hidden` : "";
+  // Superseded versions were never active, clicking them shows their release
+  const period =
+    v.durationDays === 0
+      ? [v.date.getTime(), v.date.getTime()]
+      : activePeriod(context, v.index);
+  const attributes = `${member} data-version="${escapeHtml(
+    v.version,
+  )}"${periodAttributes(period)}`;
+  if (v.prerelease) {
+    return `
+                    <tr class="prerelease-row${
+                      group ? " group-member" : ""
+                    }"${attributes}>
+                        <td>
+                            <span class="version-color prerelease-color"></span>
+                            <span class="version-name">v${escapeHtml(
+                              v.version,
+                            )}</span>
+                            <span class="prerelease-tag">pre-release</span>${releaseNotes(
+                              v,
+                            )}
+                        </td>
+                        <td>${tableDate(v.date)}</td>${releaseInfoCells(
+                          v,
+                          hasReleaseInfo,
+                        )}
+                        <td class="num-cell">${v.downloads.toLocaleString()}</td>
+                        <td class="num-cell">-</td>
+                        <td class="num-cell">-</td>
+                        <td class="num-cell">-</td>
+                        <td class="num-cell">-</td>
+                        <td>-</td>
+                        <td class="num-cell">${v.versionDownloads.toLocaleString()}</td>
+                        <td class="num-cell">-</td>${
+                          hasRank
+                            ? `\n                        <td class="num-cell">-</td>`
+                            : ""
+                        }
+                    </tr>`;
+  }
+  const color = versionColors[v.colorIndex + (firstVersionIdx > 0 ? 1 : 0)];
+  return `
+                    <tr${group ? ' class="group-member"' : ""}${attributes}${
+                      v.durationDays === 0 ? " data-superseded" : ""
+                    }>
+                        <td>
+                            <span class="version-color" style="background-color: ${color}"></span>
+                            <span class="version-name">v${escapeHtml(
+                              v.version,
+                            )}</span>${releaseNotes(v)}
+                        </td>
+                        <td>${tableDate(v.date)}</td>${releaseInfoCells(
+                          v,
+                          hasReleaseInfo,
+                        )}
+                        <td class="num-cell">${v.downloads.toLocaleString()}</td>
+                        ${changeCell(v.downloadChange)}
+                        <td class="num-cell">${v.durationDays}</td>
+                        ${changeCell(v.avgDailyGrowth)}
+                        ${impactCell(v.impact)}
+                        <td>${impactChart(v.impact, color)}</td>
+                        <td class="num-cell">${v.versionDownloads.toLocaleString()}</td>
+                        <td class="num-cell">${
+                          v.shareAtNextRelease === null
+                            ? "-"
+                            : `${v.shareAtNextRelease}%`
+                        }</td>${
+                          hasRank
+                            ? `
+                        <td class="num-cell">${
+                          dataPoints[v.index].rank
+                            ? `#${dataPoints[v.index].rank.downloads}`
+                            : "-"
+                        }</td>`
+                            : ""
+                        }
+                    </tr>`;
+}
+
+// Summary row of a version group with its aggregated metrics, and a toggle
+// showing the rows of its versions
+function groupRow(group, color, context) {
+  const { hasReleaseInfo, hasRank, dataPoints } = context;
+  const count = group.versions.length;
+  const rank = dataPoints[group.release.index].rank;
+  const period =
+    group.runs.length > 0
+      ? [
+          dataPoints[group.runs[0].start].date.getTime(),
+          dataPoints[
+            Math.min(
+              group.runs[group.runs.length - 1].end,
+              dataPoints.length - 1,
+            )
+          ].date.getTime(),
+        ]
+      : activePeriod(context, group.release.index);
+  return `
+                    <tr class="group-row" data-group-row="${escapeHtml(
+                      group.key,
+                    )}"${periodAttributes(period)}>
+                        <td>
+                            <button type="button" class="group-toggle" data-group="${escapeHtml(
+                              group.key,
+                            )}" aria-expanded="false" title="Show the versions of ${escapeHtml(
+                              group.label,
+                            )}">▸</button>
+                            <span class="version-color" style="background-color: ${color}"></span>
+                            <span class="version-name">${escapeHtml(
+                              group.label,
+                            )}</span>
+                            <span class="group-count">${count} ${
+                              count === 1 ? "version" : "versions"
+                            }</span>
+                        </td>
+                        <td>${tableDate(group.release.date)}</td>${
+                          hasReleaseInfo
+                            ? `
+                        <td>-</td>
+                        <td class="num-cell">-</td>`
+                            : ""
+                        }
+                        <td class="num-cell">${group.downloads.toLocaleString()}</td>
+                        ${changeCell(group.downloadChange)}
+                        <td class="num-cell">${group.durationDays}</td>
+                        ${changeCell(group.avgDailyGrowth)}
+                        <td class="num-cell">-</td>
+                        <td>-</td>
+                        <td class="num-cell">${group.versionDownloads.toLocaleString()}</td>
+                        <td class="num-cell">${
+                          group.shareAtNextGroup === null
+                            ? "-"
+                            : `${group.shareAtNextGroup}%`
+                        }</td>${
+                          hasRank
+                            ? `
+                        <td class="num-cell">${
+                          rank ? `#${rank.downloads}` : "-"
+                        }</td>`
+                            : ""
+                        }
+                    </tr>`;
+}
+
+// Rows of the version table in version order. With version groups each
+// group's summary row comes first, followed by the (hidden) rows of its
+// versions and pre-releases; pre-releases of a line without a stable
+// release stay ungrouped.
+function versionTableBody(model, { versionColors, groupColors }) {
+  const { versionTableRows, versionGroups, groupBy } = model;
+  const context = { ...model, versionColors };
+  if (!versionGroups) {
+    return versionTableRows.map((v) => versionRow(v, context)).join("");
+  }
+  const groups = new Map(
+    versionGroups.map((group, i) => [
+      group.key,
+      { group, color: groupColors[i] },
+    ]),
+  );
+  const started = new Set();
+  return versionTableRows
+    .map((v) => {
+      const key = versionLine(v.version, groupBy);
+      if (!groups.has(key)) return versionRow(v, context);
+      const { group, color } = groups.get(key);
+      const header = started.has(key) ? "" : groupRow(group, color, context);
+      started.add(key);
+      return header + versionRow(v, context, group);
+    })
+    .join("");
+}
+
+// One filled line per version, each in its own color, plus an "Initial"
+// line for the data points recorded before the first known version. The
+// colors come from the theme's palette or `palette`, grouped by `lineage`
+// (see lib/colors.js). When the model groups versions (lib/version-groups.js)
+// there is one line per group instead, and every version takes the color of
+// its group; a group split by backports gets one line per run, with a
+// single legend entry.
+function versionSegments(
+  { dates, downloadCounts, versionReleases, firstVersionIdx, versionGroups },
+  { theme, palette, lineage },
+) {
+  const initial = firstVersionIdx > 0 ? [null] : [];
+  const colorOptions = {
+    palette: theme.versionColors || palette,
+    lineage,
+    scheme: theme.scheme,
+  };
+  let versionColors;
+  let groupColors = null;
+  let segments;
+  if (versionGroups) {
+    const colors = assignVersionColors(
+      initial.concat(versionGroups.map((group) => group.versions[0])),
+      colorOptions,
+    );
+    groupColors = colors.slice(initial.length);
+    const colorOfVersion = new Map();
+    versionGroups.forEach((group, i) => {
+      group.versions.forEach((version) => {
+        colorOfVersion.set(version, groupColors[i]);
+      });
+    });
+    versionColors = colors
+      .slice(0, initial.length)
+      .concat(
+        versionReleases.map((release) => colorOfVersion.get(release.version)),
+      );
+    segments = versionGroups
+      .flatMap((group, i) =>
+        group.runs.map((run, runIndex) => ({
+          label: group.label,
+          index: run.start,
+          color: groupColors[i],
+          hideInLegend: runIndex > 0,
+        })),
+      )
+      .sort((a, b) => a.index - b.index);
+  } else {
+    versionColors = assignVersionColors(
+      initial.concat(versionReleases.map((release) => release.version)),
+      colorOptions,
+    );
+    segments = versionReleases.map((release, i) => ({
+      label: `v${release.version}`,
+      index: release.index,
+      color: versionColors[i + initial.length],
+      hideInLegend: false,
+    }));
+  }
+
+  // Add datasets for downloads by version
+  const versionDatasets = [];
+
+  // First create an "Initial" dataset for data before the first version
+  if (firstVersionIdx > 0) {
+    // Create point colors array for the initial dataset
+    const initialPointColors = Array(firstVersionIdx + 1).fill(
+      versionColors[0],
+    );
+    // Make the last point (which will overlap with first version) transparent so the next version's color shows
+    if (firstVersionIdx < dates.length - 1) {
+      initialPointColors[firstVersionIdx] = "transparent";
+    }
+
+    versionDatasets.push({
+      label: "Initial",
+      data: downloadCounts
+        .slice(0, firstVersionIdx + 1) // Include one extra point to connect with first version
+        .concat(Array(dates.length - firstVersionIdx - 1).fill(null)),
+      borderColor: versionColors[0],
+      backgroundColor: `${versionColors[0]}22`,
+      borderWidth: 3,
+      pointRadius: 1,
+      pointHoverRadius: 4,
+      pointBackgroundColor: initialPointColors.concat(
+        Array(dates.length - firstVersionIdx - 1).fill("transparent"),
+      ),
+      fill: true,
+      tension: 0.1,
+      yAxisID: "y",
+    });
+  }
+
+  // Now add a dataset for each version or group
+  for (let i = 0; i < segments.length; i++) {
+    const currentSegment = segments[i];
+    const currentIdx = currentSegment.index;
+    const currentColor = currentSegment.color;
+
+    // Find the next data point where a different version appears
+    let nextIdx = dates.length; // default to end of data
+
+    // Use all data points until the next version, or until the end of data
+    for (let j = i + 1; j < segments.length; j++) {
+      const nextVersion = segments[j];
+      // Only consider it a boundary if this version shows up later in the dataset
+      if (nextVersion.index > currentIdx) {
+        nextIdx = nextVersion.index;
+        break;
+      }
+    }
+
+    // Include one extra data point at the end to ensure continuity (except for the last version)
+    const endIdx =
+      i < segments.length - 1 && nextIdx < dates.length ? nextIdx + 1 : nextIdx;
+
+    // Create point colors array for this version
+    const dataLength = endIdx - currentIdx;
+    const pointColors = Array(dates.length).fill("transparent");
+
+    // Fill the relevant range with the current version's color
+    for (let j = currentIdx; j < endIdx; j++) {
+      pointColors[j] = currentColor;
+    }
+
+    // If this is not the last version and we have an overlapping point,
+    // make the last point transparent so the next version's color shows
+    if (
+      i < segments.length - 1 &&
+      endIdx > currentIdx &&
+      endIdx <= dates.length
+    ) {
+      pointColors[endIdx - 1] = "transparent";
+    }
+
+    // Create a dataset for this version
+    versionDatasets.push({
+      label: currentSegment.label,
+      data: Array(currentIdx)
+        .fill(null)
+        .concat(downloadCounts.slice(currentIdx, endIdx))
+        .concat(Array(dates.length - endIdx).fill(null)),
+      borderColor: currentColor,
+      backgroundColor: `${currentColor}22`,
+      borderWidth: 3,
+      pointRadius: 1,
+      pointHoverRadius: 4,
+      pointBackgroundColor: pointColors,
+      fill: true,
+      tension: 0.1,
+      yAxisID: "y",
+      hideInLegend: currentSegment.hideInLegend,
+    });
+  }
+
+  return { versionColors, groupColors, versionDatasets };
+}
+
+// Annotation labels of the releases: the version, or with version groups
+// the group label at its first release and none at the others
+function releaseLabels({ versionReleases, versionGroups }) {
+  if (!versionGroups) {
+    return versionReleases.map((release) => `v${release.version}`);
+  }
+  const firstReleases = new Map(
+    versionGroups.map((group) => [group.release.version, group.label]),
+  );
+  return versionReleases.map(
+    (release) => firstReleases.get(release.version) || null,
+  );
+}
+
+// Series of the version breakdown chart: one per version, or one per
+// version group with the downloads of its versions added up
+function versionBreakdown(
+  {
+    versionReleases,
+    versionGroups,
+    versionDownloadSeries,
+    versionAdoptionSeries,
+    firstVersionIdx,
+  },
+  { versionColors, groupColors },
+) {
+  if (versionGroups) {
+    return {
+      labels: versionGroups.map((group) => group.label),
+      colors: groupColors,
+      downloads: versionGroups.map((group) => group.downloadSeries),
+      adoption: versionGroups.map((group) => group.adoptionSeries),
+    };
+  }
+  return {
+    labels: versionReleases.map((release) => `v${release.version}`),
+    colors: versionReleases.map(
+      (release, index) => versionColors[index + (firstVersionIdx > 0 ? 1 : 0)],
+    ),
+    downloads: versionDownloadSeries,
+    adoption: versionAdoptionSeries,
+  };
+}
+
+// Render the chart page. Options:
+//   pluginName   - display name used in the titles
+//   cssFile      - href of the stylesheet written next to the page
+//   anomalies    - removed data points from an anomaly report, drawn faded
+//   forecast     - forecast model selected initially, or "none"
+//   forecastDays - forecast horizon selected initially (30, 90 or 365)
+//   milestones   - download targets to estimate, next round numbers by default
+//   granularity  - period of the downloads-gained bars selected initially
+//   events       - custom events from lib/events.js, drawn as annotations
+//   theme        - theme name or resolveTheme() result (lib/themes.js)
+//   palette      - version colors: distinct, classic, okabe-ito or tol
+//   lineage      - give the versions of each major or minor version shades
+//                  of one color: none, major or minor
+//   standalone   - inline the chart libraries (from vendorDir) and the CSS
+// Returns { html, css }; the CSS only needs writing when not standalone.
+function renderChart(
+  model,
+  {
+    pluginName,
+    cssFile,
+    anomalies = null,
+    forecast = "linear",
+    forecastDays = 90,
+    milestones = null,
+    granularity = "week",
+    events = [],
+    theme = "light",
+    palette = "distinct",
+    lineage = "none",
+    standalone = false,
+    vendorDir = "vendor",
+    log = () => {},
+  },
+) {
+  const pageTheme = toTheme(theme);
+  const css = pageStylesheet(pageTheme, cssContent);
+  const {
+    dataPoints,
+    dates,
+    downloadCounts,
+    derivativeData,
+    oldestDate,
+    newestDate,
+    versionReleases,
+    prereleaseReleases,
+    firstVersionIdx,
+    rollingAverages,
+    gaps,
+    periods,
+    impactDays,
+    hasReleaseInfo,
+    hasRank,
+    latestRank,
+    versionGroups,
+  } = model;
+  const { versionColors, groupColors, versionDatasets } = versionSegments(
+    model,
+    {
+      theme: pageTheme,
+      palette,
+      lineage,
+    },
+  );
+
+  // Break the data into segments by version
+  const datasets = [...versionDatasets];
+
+  // Add the rate of change dataset
+  datasets.push({
+    label: "Daily Growth Rate",
+    data: derivativeData,
+    theme: { borderColor: "dailyGrowth" },
+    borderWidth: 1.5,
+    pointRadius: 0,
+    pointHoverRadius: 4,
+    fill: false,
+    tension: 0.1,
+    yAxisID: "y1", // Use the right axis
+    borderDash: [2, 2], // Shorter dotted line
+  });
+
+  // Add one dataset per rolling average window, shortest first
+  rollingAverages.forEach((average, index) => {
+    const style = rollingStyle(index);
+    datasets.push({
+      label: average.label,
+      data: average.data,
+      theme: style.fill
+        ? {
+            borderColor: style.color,
+            backgroundColor: [style.color, style.fill],
+          }
+        : { borderColor: style.color },
+      borderWidth: style.width,
+      pointRadius: 0, // No points for cleaner look
+      pointHoverRadius: 4,
+      fill: Boolean(style.fill),
+      tension: 0.1,
+      yAxisID: "y1", // Use the right axis
+      borderDash: style.dash,
+    });
+  });
+
+  // Add rank datasets when the history was extracted with --rank
+  if (hasRank) {
+    datasets.push({
+      label: "Download Rank",
+      data: dataPoints.map((point) => ({
+        x: point.date.toISOString(),
+        y: point.rank ? point.rank.downloads : null,
+      })),
+      theme: { borderColor: "downloadRank" },
+      borderWidth: 2,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      fill: false,
+      tension: 0.1,
+      yAxisID: "y2", // Rank axis, 1 at the top
+      isRank: true,
+    });
+
+    datasets.push({
+      label: `Growth Rank (${latestRank.growthWindowDays} days)`,
+      data: dataPoints.map((point) => ({
+        x: point.date.toISOString(),
+        y: point.rank ? point.rank.growth : null,
+      })),
+      theme: { borderColor: "growthRank" },
+      borderWidth: 1.5,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      fill: false,
+      tension: 0.1,
+      yAxisID: "y2",
+      borderDash: [6, 3],
+      hidden: true, // Hidden by default, toggle it via the legend
+      isRank: true,
+    });
+  }
+
+  // Show the data points removed by the extractor's anomaly detection
+  if (anomalies) {
+    datasets.push({
+      label: `Removed Anomalies (${anomalies.length})`,
+      type: "scatter",
+      data: anomalies.map((anomaly) => ({
+        x: new Date(anomaly.timestamp).toISOString(),
+        y: anomaly.downloads,
+      })),
+      theme: {
+        borderColor: ["anomaly", 0.5],
+        backgroundColor: ["anomaly", 0.2],
+      },
+      pointStyle: "crossRot",
+      pointRadius: 6,
+      pointHoverRadius: 6,
+      yAxisID: "y",
+      isAnomaly: true,
+    });
+  }
+
+  // Forecast the total downloads with every model so the page can switch
+  // between them, and estimate when the milestones will be reached
+  let forecasts = null;
+  if (forecast !== "none") {
+    forecasts = forecastAllModels(
+      dataPoints.map((point) => ({
+        timestamp: point.date.getTime(),
+        downloads: point.downloads,
+      })),
+      { milestones },
+    );
+    if (!forecasts[forecast]) {
+      log("Not enough data for a forecast.");
+      forecasts = null;
+    } else {
+      for (const milestone of forecasts[forecast].milestones) {
+        if (milestone.reason) {
+          log(
+            `Could not estimate when ${milestone.target} downloads will be reached: ${milestone.reason}`,
+          );
+        }
+      }
+    }
+  }
+
+  // Calendar periods as compact tuples for the page
+  const compactPeriods = Object.fromEntries(
+    Object.entries(periods).map(([name, rows]) => [
+      name,
+      rows.map((period) => [
+        period.start,
+        period.label,
+        period.gained,
+        period.downloads,
+        period.partial ? 1 : 0,
+        period.interpolated ? 1 : 0,
+      ]),
+    ]),
+  );
+
+  // Chart libraries from the CDN, or inlined from local copies
+  const libraryTags = assetTags(
+    [
+      "chart.js",
+      "chartjs-adapter-date-fns",
+      "chartjs-plugin-annotation",
+      "nouislider",
+      "nouislider-css",
+    ],
+    { standalone, vendorDir },
+  );
+
+  // Create the HTML content with the embedded chart
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(pluginName)} Download Statistics</title>
+    ${libraryTags}
+    ${stylesheetTag(cssFile, css, { standalone })}
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(pluginName)} Download Statistics</h1>
+        
+        <div class="stats">
+            <div class="stat-box">
+                <div class="stat-value">${dataPoints.length}</div>
+                <div class="stat-label">Data Points</div>
+            </div>
+            <div class="stat-box">
+                <div class="stat-value">${versionReleases.length}</div>
+                <div class="stat-label">Versions Released</div>
+            </div>
+            <div class="stat-box">
+                <div class="stat-value">${downloadCounts[
+                  downloadCounts.length - 1
+                ].toLocaleString()}</div>
+                <div class="stat-label">Latest Downloads</div>
+            </div>
+            <div class="stat-box">
+                <div class="stat-value">${new Date(
+                  dataPoints[0].date,
+                ).toLocaleDateString()} - ${new Date(
+                  dataPoints[dataPoints.length - 1].date,
+                ).toLocaleDateString()}</div>
+                <div class="stat-label">Date Range</div>
+            </div>${
+              latestRank
+                ? `
+            <div class="stat-box">
+                <div class="stat-value">#${latestRank.downloads.toLocaleString()}</div>
+                <div class="stat-label">Rank of ${latestRank.total.toLocaleString()} (better than ${
+                  latestRank.downloadsPercentile
+                }%)</div>
+            </div>`
+                : ""
+            }
+        </div>
+        
+        ${eventFilter(events)}
+        <div class="chart-container">
+            <canvas id="downloadsChart"></canvas>
+        </div>
+        
+        <div class="slider-container">
+            <div id="time-slider"></div>
+            <div class="time-display">
+                <div id="time-start"></div>
+                <div id="time-end"></div>
+            </div>
+        </div>
+
+${
+  forecasts
+    ? `
+        <div class="section-header">
+            <h2>Forecast</h2>
+            <div class="forecast-controls">
+                <label>Model
+                    <select id="forecast-model">${forecastModels
+                      .filter((model) => forecasts[model])
+                      .map(
+                        (model) => `
+                        <option value="${model}"${
+                          model === forecast ? " selected" : ""
+                        }>${model}</option>`,
+                      )
+                      .join("")}
+                    </select>
+                </label>
+                <div class="view-toggle" id="forecast-horizon">${forecastHorizons
+                  .map(
+                    (days) => `
+                    <button type="button" data-days="${days}"${
+                      days === forecastDays ? ' class="active"' : ""
+                    }>${days} days</button>`,
+                  )
+                  .join("")}
+                </div>
+            </div>
+        </div>
+        <div class="stats milestones" id="milestones"></div>
+`
+    : ""
+}
+        <div class="section-header">
+            <h2>Downloads Gained per Period</h2>
+            <div class="view-toggle" id="period-view">${granularities
+              .map(
+                (option) => `
+                <button type="button" data-granularity="${option}"${
+                  option === granularity ? ' class="active"' : ""
+                }>${periodNames[option]}</button>`,
+              )
+              .join("")}
+            </div>
+        </div>
+        <div class="chart-container breakdown-container">
+            <canvas id="periodChart"></canvas>
+        </div>
+
+        <div class="section-header">
+            <h2>Downloads by Version</h2>
+            <div class="view-toggle" id="version-view">
+                <button type="button" data-view="downloads" class="active">Downloads per ${
+                  versionGroups ? "version group" : "version"
+                }</button>
+                <button type="button" data-view="adoption">Adoption (share of new downloads)</button>
+            </div>
+        </div>
+        <div class="chart-container breakdown-container">
+            <canvas id="versionChart"></canvas>
+        </div>
+        
+        ${tableControls(model)}
+        <div class="table-container">
+            <table class="version-table" id="version-table">
+                <thead>
+                    <tr>
+                        <th data-sort="version" aria-sort="ascending">Version</th>
+                        <th data-sort="date">Release Date</th>${
+                          hasReleaseInfo
+                            ? `
+                        <th data-sort="date">Tag Date</th>
+                        <th class="num-cell" data-sort="number">Stats Lag (Days)</th>`
+                            : ""
+                        }
+                        <th class="num-cell" data-sort="number">Downloads at Release</th>
+                        <th class="num-cell" data-sort="number">Download Change</th>
+                        <th class="num-cell" data-sort="number">Duration (Days)</th>
+                        <th class="num-cell" data-sort="number">Avg Daily Growth</th>
+                        <th class="num-cell" data-sort="number">Impact (±${impactDays} Days)</th>
+                        <th>Before / After</th>
+                        <th class="num-cell" data-sort="number">Downloads of This Version</th>
+                        <th class="num-cell" data-sort="number">Share at Next Release</th>${
+                          hasRank
+                            ? `
+                        <th class="num-cell" data-sort="number">Rank at Release</th>`
+                            : ""
+                        }
+                    </tr>
+                </thead>
+                <tbody>
+                    ${versionTableBody(model, {
+                      versionColors,
+                      groupColors,
+                    })}
+                </tbody>
+            </table>
+        </div>
+    </div>
+
+    <script>
+        ${themeScript}
+
+        // Plugin to draw a dotted line pattern
+        const verticalLinePlugin = {
+            id: 'verticalLine',
+            afterDraw: (chart) => {
+                if (chart.tooltip._active && chart.tooltip._active.length) {
+                    const activePoint = chart.tooltip._active[0];
+                    const { ctx } = chart;
+                    const { x } = activePoint.element.getCenterPoint();
+                    const topY = chart.scales.y.top;
+                    const bottomY = chart.scales.y.bottom;
+                    
+                    // Draw line
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.moveTo(x, topY);
+                    ctx.lineTo(x, bottomY);
+                    ctx.lineWidth = 1;
+                    ctx.strokeStyle = themeColor('crosshair');
+                    ctx.setLineDash([3, 3]);
+                    ctx.stroke();
+                    ctx.restore();
+                }
+            }
+        };
+        
+        // Chart data
+        const dates = ${scriptJson(dates)};
+        const downloads = ${scriptJson(downloadCounts)};
+        const versionReleases = ${scriptJson(versionReleases)};
+        const versionColors = ${scriptJson(versionColors)};
+        const oldestDate = ${oldestDate};
+        const newestDate = ${newestDate};
+        const firstVersionIdx = ${firstVersionIdx};
+        // Annotation label of each release, null for the releases of a
+        // version group after its first
+        const releaseLabels = ${scriptJson(releaseLabels(model))};
+
+        // Forecast of the total downloads, switchable between models and horizons
+        const forecasts = ${scriptJson(forecasts)};
+        let forecastModel = '${forecast}';
+        let forecastDays = ${forecastDays};
+
+        function forecastPoints() {
+            return forecasts ? forecasts[forecastModel].points.slice(0, forecastDays) : [];
+        }
+
+        // Forecast days follow the data points on the shared x axis
+        function chartLabels() {
+            return dates.concat(forecastPoints().map(function(point) {
+                return new Date(point[0]).toISOString();
+            }));
+        }
+
+        function forecastEnd() {
+            const points = forecastPoints();
+            return points.length > 0 ? points[points.length - 1][0] : newestDate;
+        }
+
+        // The 95% interval (filled between its lower and upper bound) and the
+        // projected line, all starting at the latest data point
+        function buildForecastDatasets() {
+            if (!forecasts) return [];
+            const points = forecastPoints();
+            const padding = Array(dates.length - 1).fill(null);
+            const latest = downloads[downloads.length - 1];
+            const series = function(column) {
+                return padding.concat([latest], points.map(function(point) {
+                    return point[column];
+                }));
+            };
+            return [
+                {
+                    label: '95% Interval (lower bound)',
+                    data: series(1),
+                    borderColor: 'transparent',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    fill: false,
+                    yAxisID: 'y',
+                    isForecast: true,
+                    isForecastBand: true,
+                    hideInLegend: true
+                },
+                {
+                    label: '95% Interval',
+                    data: series(3),
+                    borderColor: themeColor('forecast', 0.3),
+                    backgroundColor: themeColor('forecast', 0.15),
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    fill: '-1', // Fill down to the lower bound
+                    yAxisID: 'y',
+                    isForecast: true,
+                    isForecastBand: true
+                },
+                {
+                    label: 'Forecast (' + forecastModel + ')',
+                    data: series(2),
+                    borderColor: themeColor('forecast'),
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    fill: false,
+                    yAxisID: 'y',
+                    isForecast: true,
+                    lower: series(1),
+                    upper: series(3)
+                }
+            ];
+        }
+
+        // Estimated dates to reach the milestones with the selected model
+        function renderMilestones() {
+            const container = document.getElementById('milestones');
+            if (!container) return;
+            const milestones = forecasts[forecastModel].milestones;
+            // A missing date is either beyond the forecast or a failed fit
+            const format = function(milestone, name) {
+                if (milestone[name]) return formatDate(milestone[name]);
+                return milestone.failed.indexOf(name) !== -1 ? 'not estimated' : 'not within a year';
+            };
+            container.innerHTML = milestones.length === 0
+                ? '<div class="stat-box"><div class="stat-label">No milestones above the current downloads</div></div>'
+                : milestones.map(function(milestone) {
+                    return '<div class="stat-box">' +
+                        '<div class="stat-value">' + format(milestone, 'expected') + '</div>' +
+                        '<div class="stat-label">' + milestone.target.toLocaleString() + ' downloads</div>' +
+                        '<div class="milestone-range">95%: ' + format(milestone, 'earliest') + ' - ' + format(milestone, 'latest') + '</div>' +
+                        (milestone.reason ? '<div class="milestone-range">Could not be estimated: ' + milestone.reason + '</div>' : '') +
+                        '</div>';
+                }).join('');
+        }
+        
+        // Create annotations for version releases
+        const annotations = versionReleases.map((release, index) => ({
+            type: 'line',
+            xMin: dates[release.index],
+            xMax: dates[release.index],
+            borderColor: versionColors[index + (firstVersionIdx > 0 ? 1 : 0)],
+            borderWidth: releaseLabels[index] ? 2 : 1,
+            borderDash: [5, 5],
+            label: {
+                content: releaseLabels[index],
+                display: releaseLabels[index] !== null,
+                position: 'top',
+                backgroundColor: versionColors[index + (firstVersionIdx > 0 ? 1 : 0)],
+                color: 'white',
+                font: {
+                    size: 10,
+                }
+            }
+        }));
+
+        // Pre-releases get a thinner, grey dotted marker labelled at the bottom
+        const prereleaseReleases = ${scriptJson(prereleaseReleases)};
+        prereleaseReleases.forEach((release) => {
+            annotations.push({
+                type: 'line',
+                xMin: dates[release.index],
+                xMax: dates[release.index],
+                theme: { borderColor: 'prerelease' },
+                borderWidth: 1,
+                borderDash: [2, 3],
+                label: {
+                    content: 'v' + release.version + ' (pre-release)',
+                    display: true,
+                    position: 'bottom',
+                    theme: { backgroundColor: ['prerelease', 0.8] },
+                    color: 'white',
+                    font: {
+                        size: 9,
+                        style: 'italic',
+                    }
+                }
+            });
+        });
+
+        // Shade the gaps in the stats history: no growth is shown for them
+        const gaps = ${scriptJson(gaps)};
+        gaps.forEach(function(gap) {
+            annotations.push({
+                type: 'box',
+                xMin: new Date(gap.start).toISOString(),
+                xMax: new Date(gap.end).toISOString(),
+                theme: { backgroundColor: 'gap' },
+                borderWidth: 0,
+                label: {
+                    content: 'No data (' + gap.days + ' days)',
+                    display: true,
+                    position: { x: 'center', y: 'end' },
+                    theme: { color: 'textMuted' },
+                    font: {
+                        size: 9,
+                    }
+                }
+            });
+        });
+
+        // Custom events from --events, one dotted line each, which the
+        // category checkboxes above the chart show and hide
+        const events = ${scriptJson(events)};
+        events.forEach(function(event) {
+            annotations.push({
+                type: 'line',
+                xMin: new Date(event.timestamp).toISOString(),
+                xMax: new Date(event.timestamp).toISOString(),
+                borderColor: event.color,
+                borderWidth: 1.5,
+                borderDash: [1, 3],
+                eventCategory: event.category,
+                label: {
+                    content: event.label,
+                    display: true,
+                    position: 'center',
+                    backgroundColor: event.color,
+                    color: 'white',
+                    font: {
+                        size: 10,
+                    }
+                }
+            });
+        });
+        annotations.forEach(applyThemeColors);
+        
+        // Initialize the chart
+        const ctx = document.getElementById('downloadsChart').getContext('2d');
+        let chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: chartLabels(),
+                datasets: ${scriptJson(datasets)}
+                    .map(applyThemeColors)
+                    .concat(buildForecastDatasets())
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                onHover: function(event, elements) {
+                    highlightVersionRow(elements.length > 0 ? elements[0].index : null);
+                },
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            filter: function(item, data) {
+                                return !data.datasets[item.datasetIndex].hideInLegend;
+                            }
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: ${scriptJson(
+                          pluginName + " Plugin Downloads Over Time",
+                        )},
+                        font: {
+                            size: 16
+                        }
+                    },
+                    tooltip: {
+                        // Removed points don't line up with the hovered date, and
+                        // the forecast starts after the latest data point
+                        filter: function(item) {
+                            return !item.dataset.isAnomaly && !item.dataset.isForecastBand &&
+                                !(item.dataset.isForecast && item.dataIndex < dates.length);
+                        },
+                        callbacks: {
+                            title: function(context) {
+                                return new Date(context[0].label).toLocaleDateString('en-US', {
+                                    year: 'numeric',
+                                    month: 'long',
+                                    day: 'numeric'
+                                });
+                            },
+                            label: function(context) {
+                                if (context.parsed.y === null) return;
+                                if (context.dataset.isRank) {
+                                    return context.dataset.label + ': #' + context.parsed.y.toLocaleString();
+                                }
+                                if (context.dataset.isForecast) {
+                                    return context.dataset.label + ': ' + context.parsed.y.toLocaleString() + ' downloads (95%: ' +
+                                        context.dataset.lower[context.dataIndex].toLocaleString() + ' - ' +
+                                        context.dataset.upper[context.dataIndex].toLocaleString() + ')';
+                                }
+                                return context.dataset.label + ': ' + (context.parsed.y || 0).toLocaleString() + ' downloads';
+                            },
+                            // Tag date and release notes of the versions that first
+                            // appeared at the hovered data point (--plugin-repo)
+                            footer: function(context) {
+                                if (context.length === 0 || context[0].dataIndex >= dates.length) return;
+                                const lines = [];
+                                versionReleases.concat(prereleaseReleases).forEach(function(release) {
+                                    if (release.index !== context[0].dataIndex) return;
+                                    if (!release.tagDate && !release.notes) return;
+                                    let heading = 'v' + release.version;
+                                    if (release.tagDate) {
+                                        heading += ' tagged ' + new Date(release.tagDate).toLocaleDateString('en-US', {
+                                            year: 'numeric',
+                                            month: 'long',
+                                            day: 'numeric'
+                                        });
+                                    }
+                                    if (release.statsLagDays !== null) {
+                                        heading += release.statsLagDays >= 0
+                                            ? ', in the stats ' + release.statsLagDays + ' days later'
+                                            : ', in the stats ' + -release.statsLagDays + ' days before the tag';
+                                    }
+                                    lines.push(heading);
+                                    if (release.notes) {
+                                        const notes = release.notes.split('\\n').filter(function(line) {
+                                            return line.trim() !== '';
+                                        });
+                                        notes.slice(0, 8).forEach(function(line) {
+                                            lines.push(line);
+                                        });
+                                        if (notes.length > 8) lines.push('…');
+                                    }
+                                });
+                                return lines;
+                            }
+                        }
+                    },
+                    annotation: {
+                        annotations: annotations
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: {
+                            unit: 'month',
+                            tooltipFormat: 'MMM d, yyyy',
+                            displayFormats: {
+                                month: 'MMM yyyy'
+                            }
+                        },
+                        title: {
+                            display: true,
+                            text: 'Date'
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Total Downloads'
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return value.toLocaleString();
+                            }
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Growth Rate (downloads/day)'
+                        },
+                        grid: {
+                            drawOnChartArea: false // Only display ticks, not grid lines
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return value.toLocaleString();
+                            }
+                        }
+                    }${
+                      hasRank
+                        ? `,
+                    y2: {
+                        type: 'linear',
+                        position: 'right',
+                        reverse: true, // Rank 1 at the top
+                        min: 1,
+                        display: 'auto', // Only while a rank dataset is visible
+                        title: {
+                            display: true,
+                            text: 'Rank among all plugins'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        ticks: {
+                            precision: 0,
+                            callback: function(value) {
+                                return '#' + value.toLocaleString();
+                            }
+                        }
+                    }`
+                        : ""
+                    }
+                }
+            },
+            plugins: [verticalLinePlugin]
+        });
+        
+        // Initialize the time slider
+        const slider = document.getElementById('time-slider');
+        const timeStart = document.getElementById('time-start');
+        const timeEnd = document.getElementById('time-end');
+        
+        noUiSlider.create(slider, {
+            start: [oldestDate, forecastEnd()],
+            connect: true,
+            step: 86400000, // 1 day in milliseconds
+            range: {
+                'min': oldestDate,
+                'max': forecastEnd()
+            },
+            format: {
+                to: function (value) {
+                    return Math.round(value);
+                },
+                from: function (value) {
+                    return Math.round(value);
+                }
+            }
+        });
+        
+        // Format the display of dates
+        function formatDate(timestamp) {
+            return new Date(timestamp).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        }
+        
+        // Update the time display
+        function updateTimeDisplay(values) {
+            timeStart.textContent = formatDate(values[0]);
+            timeEnd.textContent = formatDate(values[1]);
+        }
+        
+        // Initial display
+        slider.noUiSlider.on('update', function (values) {
+            updateTimeDisplay(values);
+        });
+        
+        // Show the time from start to end (timestamps) on all charts
+        function zoomTo(start, end) {
+            const startDate = new Date(start);
+            const endDate = new Date(end);
+            
+            // Update chart x-axis min and max
+            chart.options.scales.x.min = startDate.toISOString();
+            chart.options.scales.x.max = endDate.toISOString();
+            chart.update();
+
+            // Keep the version breakdown and the period bars in sync
+            versionChart.options.scales.x.min = startDate.toISOString();
+            versionChart.options.scales.x.max = endDate.toISOString();
+            versionChart.update();
+            periodChart.options.scales.x.min = startDate.toISOString();
+            periodChart.options.scales.x.max = endDate.toISOString();
+            periodChart.update();
+        }
+
+        // Update chart when slider changes
+        slider.noUiSlider.on('change', function (values) {
+            zoomTo(parseInt(values[0]), parseInt(values[1]));
+        });
+        
+        // Reset zoom button
+        function addResetZoomButton() {
+            const resetButton = document.createElement('button');
+            resetButton.textContent = 'Reset Zoom';
+            resetButton.className = 'reset-zoom';
+            
+            resetButton.addEventListener('click', resetZoom);
+            
+            document.querySelector('.chart-container').appendChild(resetButton);
+        }
+
+        function resetZoom() {
+            // Reset the slider
+            slider.noUiSlider.set([oldestDate, forecastEnd()]);
+            
+            // Reset the chart
+            chart.options.scales.x.min = undefined;
+            chart.options.scales.x.max = undefined;
+            chart.update();
+            versionChart.options.scales.x.min = undefined;
+            versionChart.options.scales.x.max = undefined;
+            versionChart.update();
+            periodChart.options.scales.x.min = undefined;
+            periodChart.options.scales.x.max = undefined;
+            periodChart.update();
+        }
+        
+        // Add reset button after chart initialization
+        addResetZoomButton();
+
+        // Switch the forecast model or horizon, the slider covers the
+        // forecast as well
+        function updateForecast() {
+            chart.data.labels = chartLabels();
+            chart.data.datasets = chart.data.datasets
+                .filter(function(dataset) { return !dataset.isForecast; })
+                .concat(buildForecastDatasets());
+            slider.noUiSlider.updateOptions({
+                range: { 'min': oldestDate, 'max': forecastEnd() }
+            });
+            renderMilestones();
+            resetZoom();
+        }
+
+        document.querySelectorAll('#event-filter input').forEach(function(input) {
+            input.addEventListener('change', function() {
+                chart.options.plugins.annotation.annotations.forEach(function(annotation) {
+                    if (annotation.eventCategory === input.dataset.category) {
+                        annotation.display = input.checked;
+                    }
+                });
+                chart.update();
+            });
+        });
+
+        // Version table: sorting by column, search, superseded versions
+        // and expandable version groups. Rows move in blocks, a group row
+        // with the rows of its versions or a single ungrouped row, and keep
+        // their version order (data-order) for sorting by version.
+        const versionTable = document.getElementById('version-table');
+        const tableBody = versionTable.querySelector('tbody');
+        const tableBlocks = [];
+        tableBody.querySelectorAll('tr').forEach(function(row, order) {
+            row.dataset.order = order;
+            if (row.dataset.group) {
+                tableBlocks[tableBlocks.length - 1].members.push(row);
+            } else {
+                tableBlocks.push({ row: row, members: [] });
+            }
+        });
+
+        // Value of a cell to sort by, null for empty cells
+        function sortValue(row, column, type) {
+            if (type === 'version') return Number(row.dataset.order);
+            const text = row.cells[column].textContent.trim();
+            if (text === '-') return null;
+            const value = type === 'date'
+                ? Date.parse(text)
+                : parseFloat(text.replace(/[^0-9.-]/g, ''));
+            return isNaN(value) ? null : value;
+        }
+
+        // Sort by the column of a header, ascending on the first click and
+        // reversed on the next; empty cells always come last
+        function sortTable(header) {
+            const column = header.cellIndex;
+            const type = header.dataset.sort;
+            const direction = header.getAttribute('aria-sort') === 'ascending' ? 'descending' : 'ascending';
+            const factor = direction === 'ascending' ? 1 : -1;
+            const compare = function(a, b) {
+                const first = sortValue(a, column, type);
+                const second = sortValue(b, column, type);
+                if (first === null || second === null) {
+                    return first === second ? 0 : first === null ? 1 : -1;
+                }
+                return (first - second) * factor || a.dataset.order - b.dataset.order;
+            };
+            versionTable.querySelectorAll('th[data-sort]').forEach(function(other) {
+                other.removeAttribute('aria-sort');
+            });
+            header.setAttribute('aria-sort', direction);
+            tableBlocks.sort(function(a, b) {
+                return compare(a.row, b.row);
+            });
+            tableBlocks.forEach(function(block) {
+                tableBody.appendChild(block.row);
+                block.members.sort(compare).forEach(function(row) {
+                    tableBody.appendChild(row);
+                });
+            });
+        }
+
+        versionTable.querySelectorAll('th[data-sort]').forEach(function(header) {
+            header.addEventListener('click', function() {
+                sortTable(header);
+            });
+        });
+
+        const versionSearch = document.getElementById('version-search');
+        const hideSuperseded = document.getElementById('hide-superseded'); // Only with superseded versions
+
+        // Whether a row passes the superseded filter and contains the search
+        // text in its version or release notes
+        function rowMatches(row, query) {
+            if (hideSuperseded && hideSuperseded.checked && row.hasAttribute('data-superseded')) {
+                return false;
+            }
+            if (query === '') return true;
+            const notes = row.querySelector('.release-notes-text');
+            const text = row.querySelector('.version-name').textContent + ' ' + (notes ? notes.textContent : '');
+            return text.toLowerCase().indexOf(query) !== -1;
+        }
+
+        // Show the rows that pass the filters. The rows of a group show when
+        // it is expanded, or while searching; the group row shows while any
+        // of them passes, and a search for the group itself passes them all.
+        function updateTableRows() {
+            const query = versionSearch.value.trim().toLowerCase();
+            tableBlocks.forEach(function(block) {
+                if (!block.row.hasAttribute('data-group-row')) {
+                    block.row.hidden = !rowMatches(block.row, query);
+                    return;
+                }
+                const expanded = block.row.querySelector('.group-toggle').getAttribute('aria-expanded') === 'true';
+                const memberQuery = rowMatches(block.row, query) ? '' : query;
+                let passing = 0;
+                block.members.forEach(function(row) {
+                    const matches = rowMatches(row, memberQuery);
+                    row.hidden = !matches || (!expanded && query === '');
+                    if (matches) passing++;
+                });
+                block.row.hidden = passing === 0;
+            });
+        }
+
+        versionSearch.addEventListener('input', updateTableRows);
+        if (hideSuperseded) {
+            hideSuperseded.addEventListener('change', updateTableRows);
+        }
+
+        // Expand and collapse the versions of a group
+        document.querySelectorAll('.group-toggle').forEach(function(button) {
+            button.addEventListener('click', function() {
+                const expanded = button.getAttribute('aria-expanded') !== 'true';
+                button.setAttribute('aria-expanded', String(expanded));
+                button.textContent = expanded ? '▾' : '▸';
+                updateTableRows();
+            });
+        });
+
+        // Clicking a row zooms the charts and the slider to the period in
+        // which its version (or group) was active, with a small margin
+        tableBody.addEventListener('click', function(event) {
+            const row = event.target.closest('tr');
+            if (!row || !row.dataset.start || event.target.closest('button, details')) return;
+            const start = Number(row.dataset.start);
+            const end = Number(row.dataset.end);
+            const margin = Math.max(86400000, (end - start) * 0.05);
+            const range = [Math.max(oldestDate, start - margin), Math.min(forecastEnd(), end + margin)];
+            slider.noUiSlider.set(range);
+            zoomTo(range[0], range[1]);
+            document.getElementById('downloadsChart').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+
+        // Hovering the chart highlights the row of the version active at the
+        // hovered data point, or of its group while the group is collapsed
+        let highlightedRow = null;
+
+        function versionAt(index) {
+            let active = null;
+            versionReleases.forEach(function(release) {
+                // Releases are in version order, so the newest wins a tie
+                if (release.index <= index && (!active || release.index >= active.index)) {
+                    active = release;
+                }
+            });
+            return active;
+        }
+
+        function highlightVersionRow(index) {
+            const release = index === null || index >= dates.length ? null : versionAt(index);
+            let row = release ? versionTable.querySelector('tr[data-version="' + release.version + '"]') : null;
+            if (row && row.hidden && row.dataset.group) {
+                row = versionTable.querySelector('tr[data-group-row="' + row.dataset.group + '"]');
+            }
+            if (row === highlightedRow) return;
+            if (highlightedRow) highlightedRow.classList.remove('highlighted');
+            if (row) row.classList.add('highlighted');
+            highlightedRow = row;
+        }
+
+        if (forecasts) {
+            renderMilestones();
+            document.getElementById('forecast-model').addEventListener('change', function(event) {
+                forecastModel = event.target.value;
+                updateForecast();
+            });
+            document.querySelectorAll('#forecast-horizon button').forEach(function(button) {
+                button.addEventListener('click', function() {
+                    forecastDays = parseInt(button.dataset.days, 10);
+                    document.querySelectorAll('#forecast-horizon button').forEach(function(other) {
+                        other.classList.toggle('active', other === button);
+                    });
+                    updateForecast();
+                });
+            });
+        }
+
+        // Downloads gained per calendar period as compact
+        // [start, label, gained, total downloads, partial, interpolated]
+        // tuples. Partial and interpolated periods are drawn lighter.
+        const periods = ${scriptJson(compactPeriods)};
+        let periodGranularity = '${granularity}';
+
+        function buildPeriodDatasets() {
+            const rows = periods[periodGranularity];
+            return [{
+                label: 'Downloads Gained',
+                data: rows.map(function(row) {
+                    return { x: row[0], y: row[2] };
+                }),
+                backgroundColor: rows.map(function(row) {
+                    return themeColor('periodBars', row[4] || row[5] ? 0.35 : 0.8);
+                }),
+                borderColor: themeColor('periodBars'),
+                borderWidth: 0,
+            }];
+        }
+
+        const periodChart = new Chart(document.getElementById('periodChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                datasets: buildPeriodDatasets()
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: function(context) {
+                                return periods[periodGranularity][context[0].dataIndex][1];
+                            },
+                            label: function(context) {
+                                return context.parsed.y.toLocaleString() + ' downloads gained';
+                            },
+                            afterLabel: function(context) {
+                                const row = periods[periodGranularity][context.dataIndex];
+                                const notes = ['Total: ' + row[3].toLocaleString()];
+                                if (row[4]) notes.push('Partial period, data starts or ends within it');
+                                if (row[5]) notes.push('Interpolated, no data point in this period');
+                                return notes;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        offset: true,
+                        time: {
+                            unit: 'month',
+                            displayFormats: {
+                                month: 'MMM yyyy'
+                            }
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Downloads Gained'
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return value.toLocaleString();
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        document.querySelectorAll('#period-view button').forEach(function(button) {
+            button.addEventListener('click', function() {
+                periodGranularity = button.dataset.granularity;
+                document.querySelectorAll('#period-view button').forEach(function(other) {
+                    other.classList.toggle('active', other === button);
+                });
+                periodChart.data.datasets = buildPeriodDatasets();
+                periodChart.update();
+            });
+        });
+
+        // Version breakdown: stacked downloads per version (or version
+        // group), or the share of newly gained downloads going to each
+        // (adoption)
+        const breakdown = ${scriptJson(
+          versionBreakdown(model, { versionColors, groupColors }),
+        )};
+
+        function buildVersionDatasets(view) {
+            const series = view === 'adoption' ? breakdown.adoption : breakdown.downloads;
+            return breakdown.labels.map((label, index) => {
+                const color = breakdown.colors[index];
+                return {
+                    label: label,
+                    data: series[index],
+                    borderColor: color,
+                    backgroundColor: color + '99',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    pointHoverRadius: 3,
+                    fill: index === 0 ? 'origin' : '-1', // Stack areas on top of each other
+                    tension: 0.1,
+                };
+            });
+        }
+
+        const versionChart = new Chart(document.getElementById('versionChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: dates,
+                datasets: buildVersionDatasets('downloads')
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        display: breakdown.labels.length <= 20,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        filter: function(context) {
+                            return context.parsed.y !== null && context.parsed.y > 0;
+                        },
+                        callbacks: {
+                            title: function(context) {
+                                return new Date(context[0].label).toLocaleDateString('en-US', {
+                                    year: 'numeric',
+                                    month: 'long',
+                                    day: 'numeric'
+                                });
+                            },
+                            label: function(context) {
+                                const value = context.parsed.y.toLocaleString();
+                                return context.dataset.label + ': ' +
+                                    (versionChart.$view === 'adoption' ? value + '% of new downloads' : value + ' downloads');
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: {
+                            unit: 'month',
+                            tooltipFormat: 'MMM d, yyyy',
+                            displayFormats: {
+                                month: 'MMM yyyy'
+                            }
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Downloads per Version'
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return value.toLocaleString();
+                            }
+                        }
+                    }
+                }
+            }
+        });
+        versionChart.$view = 'downloads';
+
+        document.querySelectorAll('#version-view button').forEach(function(button) {
+            button.addEventListener('click', function() {
+                const view = button.dataset.view;
+                document.querySelectorAll('#version-view button').forEach(function(other) {
+                    other.classList.toggle('active', other === button);
+                });
+                versionChart.$view = view;
+                versionChart.data.datasets = buildVersionDatasets(view);
+                versionChart.options.scales.y.max = view === 'adoption' ? 100 : undefined;
+                versionChart.options.scales.y.title.text = view === 'adoption' ? 'Share of New Downloads (%)' : 'Downloads per Version';
+                versionChart.update();
+            });
+        });
+
+        // Take the new colors when the auto theme switches
+        onColorSchemeChange(function() {
+            annotations.forEach(applyThemeColors);
+            chart.data.datasets = chart.data.datasets
+                .filter(function(dataset) { return !dataset.isForecast; })
+                .map(applyThemeColors)
+                .concat(buildForecastDatasets());
+            chart.update();
+            periodChart.data.datasets = buildPeriodDatasets();
+            periodChart.update();
+            versionChart.update();
+        });
+    </script>
+</body>
+</html>`;
+
+  return { html, css };
+}
+
+// Render the main chart as a static SVG image: the version lines, daily
+// growth and rolling averages, with release and custom event annotations
+// and shaded gaps
+function renderChartImage(
+  model,
+  {
+    pluginName,
+    width = 1200,
+    height = 600,
+    theme = "light",
+    palette = "distinct",
+    lineage = "none",
+    events = [],
+  },
+) {
+  const imageTheme = toTheme(theme);
+  const { colors } = imageTheme;
+  const {
+    dataPoints,
+    derivativeData,
+    versionReleases,
+    firstVersionIdx,
+    rollingAverages,
+    gaps,
+  } = model;
+  const { versionColors, versionDatasets } = versionSegments(model, {
+    theme: imageTheme,
+    palette,
+    lineage,
+  });
+  const labels = releaseLabels(model);
+
+  return renderSvgChart(
+    {
+      title: `${pluginName} Plugin Downloads Over Time`,
+      timestamps: dataPoints.map((point) => point.date.getTime()),
+      series: [
+        ...versionDatasets.map((dataset, i) => ({
+          label: "Total Downloads (by version)",
+          color: dataset.borderColor,
+          values: dataset.data,
+          axis: "left",
+          width: 3,
+          fill: true,
+          legend: i === 0,
+        })),
+        {
+          label: "Daily Growth Rate",
+          color: colors.dailyGrowth,
+          values: derivativeData.map((point) => point.y),
+          axis: "right",
+          width: 1,
+          dash: [2, 2],
+        },
+        ...rollingAverages.map((average, index) => {
+          const style = rollingStyle(index);
+          return {
+            label: average.label,
+            color: colors[style.color],
+            values: average.data.map((point) => point.y),
+            axis: "right",
+            width: style.width - 0.5,
+            dash: style.dash.length > 0 ? style.dash : undefined,
+          };
+        }),
+      ],
+      bands: gaps.map((gap) => ({ start: gap.start, end: gap.end })),
+      annotations: versionReleases
+        .map((release, index) => ({
+          timestamp: dataPoints[release.index].date.getTime(),
+          label: labels[index],
+          color: versionColors[index + (firstVersionIdx > 0 ? 1 : 0)],
+        }))
+        .filter((annotation) => annotation.label !== null)
+        .concat(
+          events.map((event) => ({
+            timestamp: event.timestamp,
+            label: event.label,
+            color: event.color,
+          })),
+        ),
+      axisTitles: {
+        left: "Total Downloads",
+        right: "Growth Rate (downloads/day)",
+      },
+    },
+    { width, height, theme: imageTheme },
+  );
+}
+
+module.exports = {
+  renderChart,
+  renderChartImage,
+};
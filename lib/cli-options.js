@@ -0,0 +1,101 @@
+// Command line options of extract-plugin-stats.js and generate-download-chart.js
+// in util.parseArgs format, shared with the plugin-stats.js wrapper so that it
+// can route arguments and config file defaults to the right script.
+
+const extractOptions = {
+  // File with one plugin name, id, repo or author per line
+  list: { type: "string", short: "l" },
+  // Write all histories into a single file keyed by plugin id
+  combined: { type: "string", short: "c" },
+  // Ignore existing history files and re-read the whole git history
+  full: { type: "boolean" },
+  // Record every plugin into a local stats database instead
+  all: { type: "boolean" },
+  // Directory of the stats database used with --all
+  db: { type: "string", default: "stats-db" },
+  // Record each plugin's rank among all community plugins
+  rank: { type: "boolean" },
+  // Pre-release versions: exclude, include or mark (kept for the chart)
+  prereleases: { type: "string", default: "mark" },
+  // Anomaly detection strategy: neighbour, monotonic, mad or none
+  anomalies: { type: "string", default: "neighbour" },
+  // Write every removed data point and the rule that removed it to a file
+  "anomaly-report": { type: "string" },
+  // obsidian-releases clone to read the git history from
+  repo: { type: "string", default: "." },
+  // Directory for the <plugin-id>-history.json files
+  "out-dir": { type: "string", default: "." },
+  help: { type: "boolean", short: "h" },
+};
+
+const chartOptions = {
+  // Overlay several plugins on one page instead of charting one plugin
+  compare: { type: "boolean" },
+  // Combined history file written by extract-plugin-stats.js --combined
+  combined: { type: "string", short: "c" },
+  // Comparison x axis: calendar dates or days since each plugin's launch
+  align: { type: "string", default: "calendar" },
+  // Comparison y axis: linear or log
+  scale: { type: "string", default: "linear" },
+  // Base name of the generated comparison files
+  output: { type: "string", short: "o", default: "plugin-comparison" },
+  // Pre-release versions: exclude, include like stable ones, or mark them
+  prereleases: { type: "string", default: "mark" },
+  // Report written by extract-plugin-stats.js --anomaly-report, shows the
+  // removed data points as faded markers
+  "anomaly-report": { type: "string" },
+  // Forecast model shown first: linear, exponential, holt-winters or none
+  forecast: { type: "string", default: "linear" },
+  // Forecast horizon shown first: 30, 90 or 365 days
+  "forecast-days": { type: "string", default: "90" },
+  // Comma-separated download counts to estimate reaching dates for
+  milestones: { type: "string" },
+  // Initial period of the downloads-gained bars: day, week, month or quarter
+  granularity: { type: "string", default: "week" },
+  // Rolling average windows in days, comma-separated
+  windows: { type: "string", default: "7,30,90" },
+  // Rolling averages: window (mean over the window) or ewma
+  rolling: { type: "string", default: "window" },
+  // Longer intervals between data points are gaps, in days
+  "gap-days": { type: "string", default: "3" },
+  // Days before and after each release compared in the impact column
+  "impact-days": { type: "string", default: "14" },
+  // The plugin's own git clone, for tag dates and CHANGELOG.md release notes
+  "plugin-repo": { type: "string" },
+  // JSON, YAML or CSV file of custom events to mark on the chart
+  events: { type: "string" },
+  // Write a single HTML file with all scripts, styles and data inlined
+  standalone: { type: "boolean" },
+  // Directory with local copies of the chart libraries for --standalone
+  vendor: { type: "string", default: "vendor" },
+  // Also render static images: svg, png or both (comma-separated)
+  image: { type: "string" },
+  // Image size as WIDTHxHEIGHT
+  size: { type: "string", default: "1200x600" },
+  // Theme of the pages and images: light, dark, obsidian or auto (follows
+  // the browser, images use light)
+  theme: { type: "string", default: "light" },
+  // JSON file overriding theme colors and the version color palette
+  "theme-file": { type: "string" },
+  // Version colors: distinct (generated), classic, okabe-ito or tol
+  palette: { type: "string", default: "distinct" },
+  // Shades of one color per major or minor version: none, major or minor
+  lineage: { type: "string", default: "none" },
+  // One chart line and table row per major or minor version: none, major or
+  // minor
+  group: { type: "string", default: "none" },
+  // Also export the computed metrics: csv, json, md (comma-separated) or all
+  export: { type: "string" },
+  // Only write the --export files, no HTML page
+  "export-only": { type: "boolean" },
+  // obsidian-releases clone used to resolve plugin names
+  repo: { type: "string", default: "." },
+  // Directory with the history files, where all output is written as well
+  "out-dir": { type: "string", default: "." },
+  help: { type: "boolean", short: "h" },
+};
+
+module.exports = {
+  extractOptions,
+  chartOptions,
+};
@@ -0,0 +1,250 @@
+// Colors of the version lines (and of the plugins on the comparison page).
+// "distinct" generates as many colors as needed in the OKLab color space,
+// where equal distances look about equally different: hues step by the
+// golden angle so that neighbours are always far apart on the color wheel,
+// and the lightness alternates. The fixed palettes repeat after their last
+// color, which still keeps neighbours apart. Theme files can pass their own
+// list of colors instead of a palette name.
+
+const { versionLineModes, versionLine } = require("./versions");
+
+const palettes = {
+  // The original ten colors
+  classic: [
+    "#0066cc", // blue
+    "#cc0000", // red
+    "#009900", // green
+    "#9900cc", // purple
+    "#ff9900", // orange
+    "#00cccc", // teal
+    "#cc0099", // pink
+    "#666600", // olive
+    "#ff0099", // magenta
+    "#006666", // dark cyan
+  ],
+  // Okabe & Ito, distinguishable with every common color vision deficiency
+  // (without black, which disappears on dark themes)
+  "okabe-ito": [
+    "#0072b2", // blue
+    "#e69f00", // orange
+    "#009e73", // bluish green
+    "#cc79a7", // reddish purple
+    "#56b4e9", // sky blue
+    "#d55e00", // vermillion
+    "#f0e442", // yellow
+  ],
+  // Paul Tol's "bright" scheme, also color-blind safe (without its grey,
+  // which is used for pre-releases)
+  tol: [
+    "#4477aa", // blue
+    "#ee6677", // red
+    "#228833", // green
+    "#ccbb44", // yellow
+    "#66ccee", // cyan
+    "#aa3377", // purple
+  ],
+};
+
+const paletteNames = ["distinct", ...Object.keys(palettes)];
+const lineageModes = versionLineModes;
+
+const goldenAngle = 137.50776;
+
+// Lightness levels of the generated colors, readable on the background of
+// the theme's color scheme ("light dark" is the auto theme)
+const lightnessLevels = {
+  light: [0.52, 0.66, 0.42],
+  dark: [0.72, 0.84, 0.62],
+  "light dark": [0.6, 0.72, 0.5],
+};
+
+// Lightness bounds of the shades of a lineage, for each color scheme
+const shadeBounds = {
+  light: [0.3, 0.8],
+  dark: [0.45, 0.92],
+  "light dark": [0.35, 0.85],
+};
+
+// Validate a --palette option value
+function checkPalette(name) {
+  if (!paletteNames.includes(name)) {
+    throw new Error(
+      `Unknown palette "${name}", expected one of: ${paletteNames.join(", ")}`,
+    );
+  }
+  return name;
+}
+
+// Validate a --lineage option value
+function checkLineage(mode) {
+  if (!lineageModes.includes(mode)) {
+    throw new Error(
+      `Unknown lineage "${mode}", expected one of: ${lineageModes.join(", ")}`,
+    );
+  }
+  return mode;
+}
+
+// sRGB channel (0-1) to linear light and back
+function toLinear(channel) {
+  return channel <= 0.04045
+    ? channel / 12.92
+    : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(channel) {
+  return channel <= 0.0031308
+    ? channel * 12.92
+    : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+}
+
+// #rrggbb to OKLab [L, a, b]
+function hexToOklab(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) =>
+    toLinear(parseInt(hex.slice(i, i + 2), 16) / 255),
+  );
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+}
+
+// OKLab to linear sRGB channels, which may fall outside 0-1
+function oklabToLinear([lightness, a, b]) {
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (lightness - 0.0894841775 * a - 1.291485548 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ];
+}
+
+// OKLCH (lightness, chroma, hue in degrees) to #rrggbb. Colors outside the
+// sRGB gamut lose chroma until they fit, keeping lightness and hue.
+function oklchToHex(lightness, chroma, hue) {
+  const angle = (hue * Math.PI) / 180;
+  let linear;
+  for (let c = chroma; c >= 0; c -= 0.005) {
+    linear = oklabToLinear([
+      lightness,
+      c * Math.cos(angle),
+      c * Math.sin(angle),
+    ]);
+    if (linear.every((channel) => channel >= -1e-4 && channel <= 1 + 1e-4)) {
+      break;
+    }
+  }
+  return `#${linear
+    .map((channel) =>
+      Math.round(Math.min(1, Math.max(0, fromLinear(channel))) * 255)
+        .toString(16)
+        .padStart(2, "0"),
+    )
+    .join("")}`;
+}
+
+// #rrggbb to OKLCH [lightness, chroma, hue]
+function hexToOklch(hex) {
+  const [lightness, a, b] = hexToOklab(hex);
+  return [
+    lightness,
+    Math.hypot(a, b),
+    ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360,
+  ];
+}
+
+// Perceptual difference of two colors (Euclidean distance in OKLab), around
+// 0.02 is just noticeable
+function colorDistance(first, second) {
+  const a = hexToOklab(first);
+  const b = hexToOklab(second);
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// `count` colors that differ from their neighbours in hue and lightness,
+// starting with blue
+function distinctColors(count, scheme = "light") {
+  const levels = lightnessLevels[scheme] || lightnessLevels.light;
+  return Array.from({ length: count }, (_, i) =>
+    oklchToHex(levels[i % levels.length], 0.15, (250 + i * goldenAngle) % 360),
+  );
+}
+
+// Generate colors for `count` items from a palette name or a list of
+// colors, for the color scheme of the theme
+function generateColors(
+  count,
+  { palette = "distinct", scheme = "light" } = {},
+) {
+  if (palette === "distinct") {
+    return distinctColors(count, scheme);
+  }
+  const colors = Array.isArray(palette) ? palette : palettes[palette];
+  return Array.from({ length: count }, (_, i) => colors[i % colors.length]);
+}
+
+// Shades of one color for the versions of a lineage, spread over a range of
+// lightness and ordered dark, light, darker-middle, lighter-middle, ... so
+// that consecutive versions of the lineage differ by a large step
+function lineageShades(color, count, scheme) {
+  if (count === 1) return [color];
+  const [lightness, chroma, hue] = hexToOklch(color);
+  const [min, max] = shadeBounds[scheme] || shadeBounds.light;
+  const low = Math.max(min, lightness - 0.14);
+  const high = Math.min(max, lightness + 0.14);
+  const shades = Array.from({ length: count }, (_, i) =>
+    oklchToHex(low + ((high - low) * i) / (count - 1), chroma, hue),
+  );
+  const half = Math.ceil(count / 2);
+  return shades.map((_, i) =>
+    i % 2 === 0 ? shades[i / 2] : shades[half + (i - 1) / 2],
+  );
+}
+
+// One color per version, in release order. `versions` are version strings,
+// or null for a line without a version (the data before the first known
+// version). Without a lineage every version gets the next color of the
+// palette. With lineage "major" or "minor" each lineage gets one color of
+// the palette and its versions shades of it, e.g. all 1.x versions in blues.
+function assignVersionColors(
+  versions,
+  { palette = "distinct", lineage = "none", scheme = "light" } = {},
+) {
+  if (lineage === "none") {
+    return generateColors(versions.length, { palette, scheme });
+  }
+
+  const groups = new Map();
+  versions.forEach((version, i) => {
+    const key = version === null ? `#${i}` : versionLine(version, lineage);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  const groupColors = generateColors(groups.size, { palette, scheme });
+
+  const colors = [];
+  [...groups.values()].forEach((members, group) => {
+    const shades = lineageShades(groupColors[group], members.length, scheme);
+    members.forEach((index, i) => {
+      colors[index] = shades[i];
+    });
+  });
+  return colors;
+}
+
+module.exports = {
+  palettes,
+  paletteNames,
+  lineageModes,
+  checkPalette,
+  checkLineage,
+  colorDistance,
+  generateColors,
+  assignVersionColors,
+};
@@ -0,0 +1,369 @@
+const { historyToDataPoints } = require("./history");
+const { defaultGapDays, dailyGrowthSeries } = require("./growth");
+const { generateColors } = require("./colors");
+const {
+  escapeHtml,
+  scriptJson,
+  assetTags,
+  stylesheetTag,
+} = require("./assets");
+const { toTheme, themeScript } = require("./themes");
+const { pageStylesheet } = require("./page-style");
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+// Summary metrics for one plugin's data points (oldest first)
+function summarizeSeries(points) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const daysTracked = Math.round((last.timestamp - first.timestamp) / dayMs);
+
+  // Downloads gained over (roughly) the last 30 days
+  const monthAgo = last.timestamp - 30 * dayMs;
+  let baseline = first;
+  for (const point of points) {
+    if (point.timestamp > monthAgo) break;
+    baseline = point;
+  }
+  const recentDays = Math.max(
+    1,
+    Math.round((last.timestamp - baseline.timestamp) / dayMs),
+  );
+
+  return {
+    latestDownloads: last.downloads,
+    firstDate: first.date,
+    lastDate: last.date,
+    daysTracked,
+    versionCount: Object.keys(last.versions).length,
+    avgDailyGrowth: Math.round(
+      (last.downloads - first.downloads) / Math.max(1, daysTracked),
+    ),
+    recentDailyGrowth: Math.round(
+      (last.downloads - baseline.downloads) / recentDays,
+    ),
+  };
+}
+
+// Styles of the comparison page on top of the shared ones
+const cssContent = `.summary-table {
+    width: 100%;
+    border-collapse: collapse;
+    box-shadow: 0 2px 8px var(--shadow);
+    border-radius: 8px;
+    overflow: hidden;
+    font-size: 13px;
+}
+.summary-table th {
+    background-color: var(--surface-muted);
+    padding: 10px 12px;
+    text-align: left;
+    font-weight: 600;
+    color: var(--text);
+    border-bottom: 2px solid var(--border);
+    white-space: nowrap;
+}
+.summary-table td {
+    padding: 8px 12px;
+    border-bottom: 1px solid var(--border-muted);
+}
+.summary-table tr:last-child td {
+    border-bottom: none;
+}
+.plugin-color {
+    display: inline-block;
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    margin-right: 6px;
+    vertical-align: middle;
+}
+.plugin-name {
+    font-weight: 600;
+    vertical-align: middle;
+}`;
+
+// Render a page overlaying the total downloads and daily growth of several
+// plugins. `series` is a list of { id, name, history } where history is the
+// content of a <plugin-id>-history.json file. The daily growth is recomputed
+// over calendar days, with no growth after gaps longer than `gapDays`. The
+// plugins take the version colors of `theme` (a theme name or resolveTheme()
+// result) or `palette`. With `standalone` the libraries and CSS are inlined from local
+// copies (see lib/assets.js).
+function renderComparisonChart(
+  series,
+  {
+    align,
+    scale,
+    gapDays = defaultGapDays,
+    theme = "light",
+    palette = "distinct",
+    cssFile,
+    standalone = false,
+    vendorDir,
+  },
+) {
+  const assetOptions = { standalone, vendorDir };
+  const pageTheme = toTheme(theme);
+  const css = pageStylesheet(pageTheme, cssContent);
+  const colors = generateColors(series.length, {
+    palette: pageTheme.versionColors || palette,
+    scheme: pageTheme.scheme,
+  });
+  const plugins = series.map(({ id, name, history }, index) => {
+    const points = historyToDataPoints(history).reverse(); // Oldest first
+    const growth = dailyGrowthSeries(points, { gapDays });
+    return {
+      id,
+      name,
+      color: colors[index],
+      summary: summarizeSeries(points),
+      // Compact [timestamp, downloads, dailyGrowth] triples for the page
+      points: points.map((point, i) => [
+        point.timestamp,
+        point.downloads,
+        growth[i],
+      ]),
+    };
+  });
+  const title = plugins.map((plugin) => plugin.name).join(" vs. ");
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} Download Comparison</title>
+    ${assetTags(["chart.js", "chartjs-adapter-date-fns"], assetOptions)}
+    ${stylesheetTag(cssFile, css, assetOptions)}
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(title)}</h1>
+
+        <div class="controls">
+            <label>Alignment
+                <select id="align-select">
+                    <option value="calendar"${
+                      align === "calendar" ? " selected" : ""
+                    }>Calendar date (absolute)</option>
+                    <option value="launch"${
+                      align === "launch" ? " selected" : ""
+                    }>Days since launch</option>
+                </select>
+            </label>
+            <label>Scale
+                <select id="scale-select">
+                    <option value="linear"${
+                      scale === "linear" ? " selected" : ""
+                    }>Linear</option>
+                    <option value="log"${
+                      scale === "log" ? " selected" : ""
+                    }>Logarithmic</option>
+                </select>
+            </label>
+            <label><input type="checkbox" id="growth-toggle" checked> Show daily growth</label>
+        </div>
+
+        <div class="chart-container">
+            <canvas id="comparisonChart"></canvas>
+        </div>
+
+        <div class="table-container">
+            <table class="summary-table">
+                <thead>
+                    <tr>
+                        <th>Plugin</th>
+                        <th class="num-cell">Total Downloads</th>
+                        <th>First Data Point</th>
+                        <th class="num-cell">Days Tracked</th>
+                        <th class="num-cell">Versions</th>
+                        <th class="num-cell">Avg Daily Growth</th>
+                        <th class="num-cell">Last 30 Days (per day)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plugins
+                      .map(
+                        (plugin) => `
+                    <tr>
+                        <td>
+                            <span class="plugin-color" style="background-color: ${
+                              plugin.color
+                            }"></span>
+                            <span class="plugin-name">${escapeHtml(
+                              plugin.name,
+                            )}</span>
+                        </td>
+                        <td class="num-cell">${plugin.summary.latestDownloads.toLocaleString()}</td>
+                        <td>${plugin.summary.firstDate}</td>
+                        <td class="num-cell">${plugin.summary.daysTracked}</td>
+                        <td class="num-cell">${plugin.summary.versionCount}</td>
+                        <td class="num-cell">${plugin.summary.avgDailyGrowth.toLocaleString()}</td>
+                        <td class="num-cell">${plugin.summary.recentDailyGrowth.toLocaleString()}</td>
+                    </tr>`,
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        </div>
+    </div>
+
+    <script>
+        ${themeScript}
+
+        const plugins = ${scriptJson(plugins)};
+        const dayMs = ${dayMs};
+        let align = '${align}';
+        let scale = '${scale}';
+        let showGrowth = true;
+
+        // Build one total downloads line per plugin, plus a dashed daily
+        // growth line on the right axis when enabled
+        function buildDatasets() {
+            const datasets = [];
+            plugins.forEach((plugin) => {
+                const launch = plugin.points[0][0];
+                const x = (timestamp) => align === 'launch'
+                    ? Math.round((timestamp - launch) / dayMs)
+                    : new Date(timestamp).toISOString();
+                // Log scales cannot show zero or negative values
+                const y = (value) => scale === 'log' && value <= 0 ? null : value;
+
+                datasets.push({
+                    label: plugin.name,
+                    data: plugin.points.map((p) => ({ x: x(p[0]), y: y(p[1]) })),
+                    borderColor: plugin.color,
+                    backgroundColor: plugin.color + '22',
+                    borderWidth: 2.5,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    tension: 0.1,
+                    yAxisID: 'y',
+                });
+
+                if (showGrowth) {
+                    datasets.push({
+                        label: plugin.name + ' (daily growth)',
+                        data: plugin.points.map((p) => ({ x: x(p[0]), y: y(p[2]) })),
+                        borderColor: plugin.color,
+                        borderWidth: 1.5,
+                        borderDash: [4, 3],
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        tension: 0.1,
+                        yAxisID: 'y1',
+                        isGrowth: true,
+                    });
+                }
+            });
+            return datasets;
+        }
+
+        function buildScales() {
+            const valueScale = (title, position) => ({
+                type: scale === 'log' ? 'logarithmic' : 'linear',
+                position,
+                beginAtZero: scale !== 'log',
+                title: { display: true, text: title },
+                ticks: {
+                    callback: function(value) {
+                        return value.toLocaleString();
+                    }
+                }
+            });
+
+            return {
+                x: align === 'launch'
+                    ? {
+                        type: 'linear',
+                        min: 0,
+                        title: { display: true, text: 'Days since launch' }
+                    }
+                    : {
+                        type: 'time',
+                        time: {
+                            unit: 'month',
+                            tooltipFormat: 'MMM d, yyyy',
+                            displayFormats: { month: 'MMM yyyy' }
+                        },
+                        title: { display: true, text: 'Date' }
+                    },
+                y: valueScale('Total Downloads', 'left'),
+                y1: {
+                    ...valueScale('Growth Rate (downloads/day)', 'right'),
+                    display: showGrowth,
+                    grid: { drawOnChartArea: false }
+                }
+            };
+        }
+
+        const ctx = document.getElementById('comparisonChart').getContext('2d');
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: { datasets: buildDatasets() },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'nearest',
+                    axis: 'x'
+                },
+                plugins: {
+                    legend: { position: 'top' },
+                    tooltip: {
+                        callbacks: {
+                            title: function(context) {
+                                return align === 'launch'
+                                    ? 'Day ' + context[0].parsed.x
+                                    : new Date(context[0].parsed.x).toLocaleDateString('en-US', {
+                                        year: 'numeric',
+                                        month: 'long',
+                                        day: 'numeric'
+                                    });
+                            },
+                            label: function(context) {
+                                if (context.parsed.y === null) return;
+                                return context.dataset.label + ': ' + context.parsed.y.toLocaleString() +
+                                    (context.dataset.isGrowth ? ' downloads/day' : ' downloads');
+                            }
+                        }
+                    }
+                },
+                scales: buildScales()
+            }
+        });
+
+        function render() {
+            chart.data.datasets = buildDatasets();
+            chart.options.scales = buildScales();
+            chart.update();
+        }
+
+        document.getElementById('align-select').addEventListener('change', function(event) {
+            align = event.target.value;
+            render();
+        });
+        document.getElementById('scale-select').addEventListener('change', function(event) {
+            scale = event.target.value;
+            render();
+        });
+        document.getElementById('growth-toggle').addEventListener('change', function(event) {
+            showGrowth = event.target.checked;
+            render();
+        });
+
+        // Take the new text and grid colors when the auto theme switches
+        onColorSchemeChange(render);
+    </script>
+</body>
+</html>`;
+
+  return { html, css };
+}
+
+module.exports = {
+  summarizeSeries,
+  renderComparisonChart,
+};
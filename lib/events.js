@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeColor } = require("./themes");
+
+// Custom events shown on the chart next to the version releases: blog posts,
+// forum announcements, Obsidian releases, newsletter features. Read from a
+// JSON, YAML or CSV file with one entry per event:
+//   date     - YYYY-MM-DD or an ISO timestamp (required)
+//   label    - text shown on the chart (required)
+//   category - groups events for the legend filter (default "Events")
+//   color    - hex color (#rgb, #rrggbb or #rrggbbaa), defaults to the
+//              color of the category
+
+const defaultCategory = "Events";
+
+// Category colors, chosen to stand apart from the version colors
+const categoryColors = [
+  "#E67E22", // carrot
+  "#8E44AD", // wisteria
+  "#16A085", // green sea
+  "#C0392B", // pomegranate
+  "#2C3E50", // midnight blue
+  "#D4AC0D", // mustard
+  "#7F8C8D", // asbestos
+];
+
+// Rows of an RFC 4180 CSV file as arrays of strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value !== "" || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// CSV with a header row naming the columns, in any order
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((column) => column.trim().toLowerCase());
+  return rows.map((cells) =>
+    Object.fromEntries(
+      columns.map((column, i) => [column, (cells[i] || "").trim()]),
+    ),
+  );
+}
+
+// YAML needs the optional yaml package, like PNG output needs resvg
+function parseYaml(text) {
+  let YAML;
+  try {
+    YAML = require(
+      require.resolve("yaml", { paths: [process.cwd(), __dirname] }),
+    );
+  } catch (error) {
+    throw new Error(
+      "YAML events files need the yaml package (npm install yaml@2.9.1). JSON and CSV work without it.",
+    );
+  }
+  return YAML.parse(text);
+}
+
+// Timestamp of an event date, NaN if missing or invalid. Plain dates are
+// midnight UTC, like the dates of the data points.
+function parseEventDate(date) {
+  if (date instanceof Date) return date.getTime(); // YAML timestamps
+  if (!date) return NaN;
+  const text = String(date).trim();
+  return Date.parse(
+    /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text,
+  );
+}
+
+// Validate the raw records and bring them into one shape, oldest first:
+//   [{ timestamp, date, label, category, color, categoryColor }]
+function normalizeEvents(records, source) {
+  const list = Array.isArray(records) ? records : records && records.events;
+  if (!Array.isArray(list)) {
+    throw new Error(
+      `${source}: expected a list of events or an object with an "events" list`,
+    );
+  }
+
+  const colors = new Map();
+  const events = list.map((record, i) => {
+    if (!record || typeof record !== "object") {
+      throw new Error(`${source}: event ${i + 1} is not an object`);
+    }
+    const timestamp = parseEventDate(record.date);
+    if (isNaN(timestamp)) {
+      throw new Error(`${source}: event ${i + 1} has no valid date`);
+    }
+    if (!record.label) {
+      throw new Error(`${source}: event ${i + 1} has no label`);
+    }
+
+    const category = record.category
+      ? String(record.category)
+      : defaultCategory;
+    // Checked like theme colors, the chart styles and SVG use them as is
+    const color = record.color
+      ? normalizeColor(
+          String(record.color).trim(),
+          `${source}: event ${i + 1} color`,
+        )
+      : null;
+    if (!colors.has(category)) {
+      colors.set(
+        category,
+        color || categoryColors[colors.size % categoryColors.length],
+      );
+    }
+    return {
+      timestamp,
+      date: new Date(timestamp).toISOString().split("T")[0],
+      label: String(record.label),
+      category,
+      color: color || colors.get(category),
+      categoryColor: colors.get(category),
+    };
+  });
+  return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Read an events file, the format is taken from its extension
+function readEventsFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Events file '${file}' not found.`);
+  }
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  let records;
+  try {
+    if (extension === ".json") {
+      records = JSON.parse(text);
+    } else if (extension === ".yaml" || extension === ".yml") {
+      records = parseYaml(text);
+    } else if (extension === ".csv") {
+      records = csvRecords(text);
+    } else {
+      throw new Error("expected a .json, .yaml, .yml or .csv file");
+    }
+  } catch (error) {
+    throw new Error(`Could not read events file '${file}': ${error.message}`);
+  }
+  return normalizeEvents(records, file);
+}
+
+// The categories of the events, in order of their first event, with their
+// color: [{ name, color, count }]
+function eventCategories(events) {
+  const categories = new Map();
+  for (const event of events) {
+    if (!categories.has(event.category)) {
+      categories.set(event.category, {
+        name: event.category,
+        color: event.categoryColor,
+        count: 0,
+      });
+    }
+    categories.get(event.category).count++;
+  }
+  return [...categories.values()];
+}
+
+module.exports = {
+  parseCsv,
+  normalizeEvents,
+  readEventsFile,
+  eventCategories,
+};
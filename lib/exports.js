@@ -0,0 +1,238 @@
+// Machine-readable exports of the metrics computed for the chart: the
+// per-point series as CSV, version statistics as JSON/CSV and a Markdown
+// version table for release notes.
+
+const exportFormats = ["csv", "json", "md"];
+
+// Columns of the series rows. One rolling average column follows the daily
+// growth per window, named by lib/growth.js (rollingAvg7, ewma30, ...).
+function seriesColumns({ rollingAverages }) {
+  return [
+    "date",
+    "timestamp",
+    "downloads",
+    "dailyGrowth",
+    ...rollingAverages.map((average) => average.key),
+    "afterGap",
+    "version",
+    "rank",
+  ];
+}
+
+const versionColumns = [
+  "version",
+  "prerelease",
+  "releaseDate",
+  "tag",
+  "tagDate",
+  "statsLagDays",
+  "downloadsAtRelease",
+  "downloadChange",
+  "durationDays",
+  "avgDailyGrowth",
+  "growthBefore",
+  "growthAfter",
+  "impactChange",
+  "impactPercent",
+  "impactPValue",
+  "impact",
+  "versionDownloads",
+  "shareAtNextRelease",
+  "rankAtRelease",
+  "releaseNotes",
+];
+
+const periodColumns = [
+  "granularity",
+  "period",
+  "startDate",
+  "endDate",
+  "downloads",
+  "gained",
+  "partial",
+  "interpolated",
+];
+
+// Validate an --export option value, "all" selects every format
+function parseExportFormats(value) {
+  const formats = value === "all" ? exportFormats : value.split(",");
+  for (const format of formats) {
+    if (!exportFormats.includes(format.trim())) {
+      throw new Error(
+        `Unknown export format "${format}", expected one of: ${exportFormats.join(
+          ", ",
+        )} or all`,
+      );
+    }
+  }
+  return formats.map((format) => format.trim());
+}
+
+// Export rows from the model returned by computeVersionStats(): one series
+// row per data point, one row per version (pre-releases included) and one
+// row per calendar period of every granularity
+function buildExports({
+  dataPoints,
+  rollingAverages,
+  versionTableRows,
+  periods,
+}) {
+  const formatDate = (date) => date.toISOString().split("T")[0];
+  const valueOrNull = (value) => (value === undefined ? null : value);
+
+  const series = dataPoints.map((point, index) => ({
+    date: formatDate(point.date),
+    timestamp: point.date.getTime(),
+    downloads: point.downloads,
+    dailyGrowth: point.dailyGrowth,
+    ...Object.fromEntries(
+      rollingAverages.map((average) => [average.key, average.data[index].y]),
+    ),
+    afterGap: point.afterGap,
+    version: point.currentVersion,
+    rank: point.rank ? point.rank.downloads : null,
+  }));
+  const versions = versionTableRows.map((release) => ({
+    version: release.version,
+    prerelease: Boolean(release.prerelease),
+    releaseDate: formatDate(release.date),
+    // Only known with --plugin-repo
+    tag: valueOrNull(release.tag),
+    tagDate: release.tagDate ? formatDate(new Date(release.tagDate)) : null,
+    statsLagDays: valueOrNull(release.statsLagDays),
+    downloadsAtRelease: release.downloads,
+    downloadChange: valueOrNull(release.downloadChange),
+    durationDays: valueOrNull(release.durationDays),
+    avgDailyGrowth: valueOrNull(release.avgDailyGrowth),
+    // Release impact (lib/impact.js), missing without enough data around it
+    growthBefore: release.impact ? release.impact.before : null,
+    growthAfter: release.impact ? release.impact.after : null,
+    impactChange: release.impact ? release.impact.change : null,
+    impactPercent: release.impact ? release.impact.changePercent : null,
+    impactPValue: release.impact ? release.impact.p : null,
+    impact: release.impact ? release.impact.impact : null,
+    versionDownloads: release.versionDownloads,
+    shareAtNextRelease: valueOrNull(release.shareAtNextRelease),
+    rankAtRelease: dataPoints[release.index].rank
+      ? dataPoints[release.index].rank.downloads
+      : null,
+    releaseNotes: valueOrNull(release.notes),
+  }));
+  const periodRows = Object.entries(periods).flatMap(([granularity, rows]) =>
+    rows.map((period) => ({
+      granularity,
+      period: period.label,
+      startDate: formatDate(new Date(period.start)),
+      endDate: formatDate(new Date(period.end - 1)), // Last day of the period
+      downloads: period.downloads,
+      gained: period.gained,
+      partial: period.partial,
+      interpolated: period.interpolated,
+    })),
+  );
+  return { series, versions, periods: periodRows };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a header row, missing values as empty fields
+function toCsv(columns, rows) {
+  return (
+    [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+      .map((values) => values.map(csvValue).join(","))
+      .join("\n") + "\n"
+  );
+}
+
+function formatNumber(value, suffix = "") {
+  return value === null || value === undefined
+    ? "–"
+    : `${value.toLocaleString("en-US")}${suffix}`;
+}
+
+// Change of the daily growth after a release, bold when significant
+function formatImpact({ impact, impactChange, impactPercent }) {
+  if (impact === null) return "–";
+  const sign = impactChange > 0 ? "+" : "";
+  const change =
+    impactPercent === null
+      ? `${sign}${formatNumber(impactChange)}/day`
+      : `${sign}${impactPercent}%`;
+  return impact === "none" ? change : `**${change}** (${impact})`;
+}
+
+// Text for one Markdown table cell: a "|" would start a new cell and a line
+// break would end the row
+function markdownCell(value) {
+  return String(value)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*[\r\n]+\s*/g, " ");
+}
+
+// Version statistics as a GitHub-flavoured Markdown table
+function versionsMarkdown(title, versions) {
+  const hasRank = versions.some((version) => version.rankAtRelease !== null);
+  const hasTags = versions.some((version) => version.tagDate !== null);
+  const headers = [
+    "Version",
+    "Release Date",
+    ...(hasTags ? ["Tag Date", "Stats Lag (Days)"] : []),
+    "Downloads at Release",
+    "Download Change",
+    "Duration (Days)",
+    "Avg Daily Growth",
+    "Impact",
+    "Downloads of This Version",
+    "Share at Next Release",
+    ...(hasRank ? ["Rank at Release"] : []),
+  ];
+  const rows = versions.map((version) => [
+    version.prerelease
+      ? `${markdownCell(version.version)} _(pre-release)_`
+      : markdownCell(version.version),
+    version.releaseDate,
+    ...(hasTags
+      ? [version.tagDate || "–", formatNumber(version.statsLagDays)]
+      : []),
+    formatNumber(version.downloadsAtRelease),
+    formatNumber(version.downloadChange),
+    formatNumber(version.durationDays),
+    formatNumber(version.avgDailyGrowth),
+    formatImpact(version),
+    formatNumber(version.versionDownloads),
+    formatNumber(version.shareAtNextRelease, "%"),
+    ...(hasRank
+      ? [
+          version.rankAtRelease === null
+            ? "–"
+            : `#${formatNumber(version.rankAtRelease)}`,
+        ]
+      : []),
+  ]);
+
+  return [
+    `## ${title.replace(/\s*[\r\n]+\s*/g, " ")}`,
+    "",
+    `| ${headers.join(" | ")} |`,
+    `| ${headers
+      .map((_, i) => (i < (hasTags ? 3 : 2) ? "---" : "---:"))
+      .join(" | ")} |`,
+    ...rows.map((row) => `| ${row.join(" | ")} |`),
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  exportFormats,
+  seriesColumns,
+  versionColumns,
+  periodColumns,
+  parseExportFormats,
+  buildExports,
+  toCsv,
+  versionsMarkdown,
+};
@@ -0,0 +1,275 @@
+const { historyToDataPoints } = require("./history");
+const {
+  listStatsCommits,
+  listStatsCommitsSince,
+  createSnapshotReader,
+} = require("./stats-git");
+const { createRankTracker } = require("./rank");
+const { isPrerelease } = require("./versions");
+const { filterAnomalies } = require("./anomalies");
+const { windowGrowth } = require("./growth");
+
+// Create a record for one plugin at one point in time
+function createDataPoint(commit, date, pluginData, { prereleases, skipped }) {
+  const dataPoint = {
+    hash: commit.hash,
+    timestamp: commit.timestamp,
+    date,
+    downloads: pluginData.downloads || 0,
+    versions: {},
+  };
+
+  // Add each version to the data object
+  for (const key in pluginData) {
+    // Skip non-version keys
+    if (key === "downloads" || key === "updated") continue;
+
+    // Skip pre-releases (1.0.0-beta, 1.0.0-rc.1, ...) if requested
+    if (prereleases === "exclude" && isPrerelease(key)) {
+      skipped.add(key);
+      continue;
+    }
+
+    // Add version info
+    dataPoint.versions[key] = pluginData[key];
+  }
+
+  return dataPoint;
+}
+
+// Format the final result and calculate daily growth
+function buildHistory(validData) {
+  const history = {};
+
+  // Iterate from oldest to newest to calculate growth correctly
+  const oldestFirst = validData.slice().reverse();
+  oldestFirst.forEach((point, index) => {
+    // Downloads gained over the 24 hours before the point, so that commits
+    // minutes apart don't inflate the rate. Growth across gaps is averaged
+    // over the gap here; the chart leaves it out (lib/growth.js).
+    const dailyGrowth =
+      index === 0
+        ? point.downloads // Growth from zero
+        : Math.round(windowGrowth(oldestFirst, index, 1, Infinity) || 0);
+
+    history[point.timestamp] = {
+      date: point.date,
+      hash: point.hash,
+      ...(point.rank && { rank: point.rank }),
+      data: {
+        downloads: point.downloads,
+        dailyGrowth: dailyGrowth,
+        ...point.versions,
+      },
+    };
+  });
+
+  return history;
+}
+
+// Extract the download histories of some plugins from the git history of an
+// obsidian-releases clone, in the format of the history files. Options:
+//   existing         - { [id]: history } extracted earlier; only newer
+//                      commits are read and merged into them
+//   rank             - record download and growth ranks at every point
+//   prereleases      - "exclude" leaves pre-release versions out
+//   anomalies        - anomaly detection strategy (lib/anomalies.js)
+//   earlierAnomalies - { [id]: [...] } removed points of earlier runs, which
+//                      are no longer in `existing` but stay in the result
+//   log, logError    - progress and error output, silent by default
+// Returns { histories, anomalies, skippedPrereleases }, with histories and
+// removed data points (oldest first) keyed by plugin id.
+function extractHistory(
+  repoPath,
+  pluginIds,
+  {
+    existing = {},
+    rank = false,
+    prereleases = "mark",
+    anomalies = "neighbour",
+    earlierAnomalies = {},
+    log = () => {},
+    logError = log,
+  } = {},
+) {
+  // Get git commits that modified the stats file
+  const commits = listStatsCommits(repoPath);
+
+  log(`Found ${commits.length} commits that modified the stats file.`);
+
+  // Resume every plugin after the newest commit of its existing history: by
+  // ancestry, reading the commits made after it, or by timestamp when git
+  // doesn't know that commit
+  const existingDataById = {};
+  const resumePoints = {};
+  const pendingById = {};
+  const pendingByHash = new Map();
+  const hashesByTimestamp = new Map(
+    commits.map((commit) => [commit.timestamp, commit.hash]),
+  );
+
+  for (const pluginId of pluginIds) {
+    const existingData = existing[pluginId]
+      ? historyToDataPoints(existing[pluginId])
+      : [];
+
+    // Histories written by older versions of this script lack commit hashes,
+    // recover them from the commit timestamps
+    for (const point of existingData) {
+      point.hash = point.hash || hashesByTimestamp.get(point.timestamp) || null;
+    }
+
+    existingDataById[pluginId] = existingData;
+    if (existingData.length > 0) {
+      const resumePoint = existingData[0];
+      resumePoints[pluginId] = resumePoint;
+      if (resumePoint.hash && !pendingByHash.has(resumePoint.hash)) {
+        pendingByHash.set(
+          resumePoint.hash,
+          listStatsCommitsSince(resumePoint.hash, repoPath),
+        );
+      }
+      const pending = resumePoint.hash && pendingByHash.get(resumePoint.hash);
+      pendingById[pluginId] = pending ? new Set(pending) : null;
+      log(
+        `Found ${existingData.length} existing data points for ${pluginId}, resuming after ${existingData[0].date} (${existingData[0].hash})`,
+      );
+    }
+  }
+
+  // First phase: Collect all data points for every plugin in a single walk.
+  // Ranking needs every plugin of a snapshot, otherwise only ours are parsed.
+  const readSnapshot = createSnapshotReader(commits, {
+    repoPath,
+    keys: rank ? null : pluginIds,
+  });
+  const skipped = new Set();
+  const rawDataById = Object.fromEntries(pluginIds.map((id) => [id, []]));
+  const finishedIds = new Set();
+  const rankTracker = rank ? createRankTracker(pluginIds) : null;
+
+  // Loop through commits (newest to oldest)
+  for (const commit of commits) {
+    // Plugins with an existing history are done once every commit made after
+    // its newest one was read, and skip commits it already records
+    const recordedIds = new Set();
+    for (const [pluginId, resumePoint] of Object.entries(resumePoints)) {
+      const pending = pendingById[pluginId];
+      if (pending) {
+        if (pending.size === 0) {
+          finishedIds.add(pluginId);
+        } else if (!pending.delete(commit.hash)) {
+          recordedIds.add(pluginId);
+        }
+      } else if (
+        commit.hash === resumePoint.hash ||
+        commit.timestamp <= resumePoint.timestamp
+      ) {
+        finishedIds.add(pluginId);
+      }
+    }
+
+    // Stop early once every plugin has reached its oldest commit, reading a
+    // few more commits if growth ranks still need an older baseline
+    const allFinished = finishedIds.size === pluginIds.length;
+    if (allFinished && !(rankTracker && rankTracker.hasPending())) {
+      break;
+    }
+
+    try {
+      // Get stats file content at this commit
+      const statsData = readSnapshot(commit.hash);
+      const date = new Date(commit.timestamp).toISOString().split("T")[0]; // Format as YYYY-MM-DD
+
+      // Ranking looks at every plugin in the snapshot, not only ours
+      if (rankTracker) {
+        rankTracker.add(commit, statsData, { baselineOnly: allFinished });
+      }
+
+      for (const pluginId of pluginIds) {
+        if (finishedIds.has(pluginId) || recordedIds.has(pluginId)) continue;
+        const rawData = rawDataById[pluginId];
+
+        // Check if the plugin exists in this version of the file. Plugins that
+        // were removed from the community list are missing from the newest
+        // commits, so only stop once we have seen the plugin at least once.
+        if (!statsData[pluginId]) {
+          if (rawData.length === 0) {
+            continue;
+          }
+          log(
+            `Plugin "${pluginId}" not found in commit ${commit.hash}. Assuming it was not released yet or data is unavailable for this commit. Stopping further processing for older commits.`,
+          );
+          finishedIds.add(pluginId);
+          continue;
+        }
+
+        const dataPoint = createDataPoint(commit, date, statsData[pluginId], {
+          prereleases,
+          skipped,
+        });
+        rawData.push(dataPoint);
+        log(
+          `Collected data for ${pluginId} from ${date}: ${
+            dataPoint.downloads
+          } downloads with ${Object.keys(dataPoint.versions).length} versions`,
+        );
+      }
+    } catch (error) {
+      logError(`Error processing commit ${commit.hash}: ${error.message}`);
+    }
+  }
+
+  if (skipped.size > 0) {
+    log(`Skipped pre-release versions: ${[...skipped].join(", ")}`);
+  }
+
+  // Second phase: Filter out anomalies with the selected strategy, then
+  // build the histories
+  const histories = {};
+  const anomaliesById = {};
+  for (const pluginId of pluginIds) {
+    log(
+      `Processing ${pluginId}: ${rawDataById[pluginId].length} new data points`,
+    );
+    if (rankTracker) {
+      for (const point of rawDataById[pluginId]) {
+        point.rank = rankTracker.rankFor(point.hash, pluginId);
+      }
+    }
+    // Merge the new points with the existing history and recompute growth
+    const mergedData = rawDataById[pluginId].concat(existingDataById[pluginId]);
+    const { valid, removed } = filterAnomalies(mergedData, anomalies);
+    for (const anomaly of removed) {
+      const shortHash = (anomaly.hash || "unknown").substring(0, 8);
+      log(
+        `Anomaly detected (${anomaly.rule}): ${anomaly.date} (${shortHash}) ${anomaly.reason}`,
+      );
+    }
+    log(`Filtered out ${removed.length} anomalous data points for ${pluginId}`);
+    histories[pluginId] = buildHistory(valid);
+
+    // Points removed by earlier runs are no longer in the histories, so keep
+    // their entries unless the point is back or was removed again
+    const keptHashes = new Set(valid.map((point) => point.hash));
+    const newHashes = new Set(removed.map((anomaly) => anomaly.hash));
+    const earlier = (earlierAnomalies[pluginId] || []).filter(
+      (anomaly) =>
+        !keptHashes.has(anomaly.hash) && !newHashes.has(anomaly.hash),
+    );
+    anomaliesById[pluginId] = earlier
+      .concat(removed)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  return {
+    histories,
+    anomalies: anomaliesById,
+    skippedPrereleases: [...skipped],
+  };
+}
+
+module.exports = {
+  buildHistory,
+  extractHistory,
+};
@@ -0,0 +1,302 @@
+// Forecasts of total downloads, computed from the history alone. Every model
+// works on an evenly spaced daily series over the recent past and returns one
+// projected point per day with a 95% prediction interval.
+
+const dayMs = 1000 * 60 * 60 * 24;
+const z95 = 1.96;
+
+const forecastModels = ["linear", "exponential", "holt-winters"];
+const forecastHorizons = [30, 90, 365];
+
+// Downloads at one-day steps going back from the newest point, interpolated
+// between data points (oldest first)
+function dailySeries(points, days) {
+  const last = points[points.length - 1];
+  const series = [];
+  let index = points.length - 1;
+  for (let day = 0; day <= days; day++) {
+    const timestamp = last.timestamp - day * dayMs;
+    if (timestamp < points[0].timestamp) break;
+    while (index > 0 && points[index - 1].timestamp >= timestamp) {
+      index--;
+    }
+    const after = points[index];
+    const before = points[Math.max(0, index - 1)];
+    const span = after.timestamp - before.timestamp;
+    series.push(
+      span > 0 && timestamp < after.timestamp
+        ? before.downloads +
+            ((after.downloads - before.downloads) *
+              (timestamp - before.timestamp)) /
+              span
+        : after.downloads,
+    );
+  }
+  return series.reverse();
+}
+
+function differences(values) {
+  return values.slice(1).map((value, i) => value - values[i]);
+}
+
+function meanAndVariance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.length > 1
+      ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        (values.length - 1)
+      : 0;
+  return { mean, variance };
+}
+
+// Constant daily growth, estimated from the recent daily increments. The
+// interval combines day-to-day noise with the uncertainty of the mean.
+function linearForecast(series, days) {
+  const increments = differences(series);
+  const { mean, variance } = meanAndVariance(increments);
+  const last = series[series.length - 1];
+  const result = [];
+  for (let h = 1; h <= days; h++) {
+    const spread =
+      z95 * Math.sqrt(h * variance + (h * h * variance) / increments.length);
+    const value = last + mean * h;
+    result.push({ value, lower: value - spread, upper: value + spread });
+  }
+  return result;
+}
+
+// Constant daily growth rate, the same model applied to log downloads
+function exponentialForecast(series, days) {
+  const positive = series.filter((value) => value > 0);
+  if (positive.length < 2) {
+    return linearForecast(series, days);
+  }
+  return linearForecast(positive.map(Math.log), days).map((point) => ({
+    value: Math.exp(point.value),
+    lower: Math.exp(point.lower),
+    upper: Math.exp(point.upper),
+  }));
+}
+
+// Additive Holt-Winters on the daily increments with a weekly season. The
+// smoothing parameters are picked by a small grid search on the one-step
+// errors; the interval treats the daily errors as independent, which is an
+// approximation.
+function holtWinters(increments, { alpha, beta, gamma, season }) {
+  const firstWeek = increments.slice(0, season);
+  const secondWeek = increments.slice(season, 2 * season);
+  const average = (values) =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  let level = average(firstWeek);
+  let trend = (average(secondWeek) - level) / season;
+  const seasonal = firstWeek.map((value) => value - level);
+  let squaredErrors = 0;
+
+  for (let t = season; t < increments.length; t++) {
+    const seasonIndex = t % season;
+    const predicted = level + trend + seasonal[seasonIndex];
+    const error = increments[t] - predicted;
+    squaredErrors += error * error;
+
+    const previousLevel = level;
+    level =
+      alpha * (increments[t] - seasonal[seasonIndex]) +
+      (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[seasonIndex] =
+      gamma * (increments[t] - level) + (1 - gamma) * seasonal[seasonIndex];
+  }
+
+  return {
+    level,
+    trend,
+    seasonal,
+    sigma: Math.sqrt(squaredErrors / (increments.length - season)),
+    squaredErrors,
+  };
+}
+
+function holtWintersForecast(series, days, { season = 7 } = {}) {
+  const increments = differences(series);
+  if (increments.length < 3 * season) {
+    return linearForecast(series, days);
+  }
+
+  let best = null;
+  for (const alpha of [0.05, 0.1, 0.2, 0.4, 0.6]) {
+    for (const beta of [0, 0.01, 0.05, 0.1]) {
+      for (const gamma of [0.05, 0.1, 0.3]) {
+        const fit = holtWinters(increments, { alpha, beta, gamma, season });
+        if (!best || fit.squaredErrors < best.fit.squaredErrors) {
+          best = { alpha, beta, fit };
+        }
+      }
+    }
+  }
+
+  const { alpha, beta, fit } = best;
+  let value = series[series.length - 1];
+  let variance = 0;
+  const result = [];
+  for (let h = 1; h <= days; h++) {
+    const seasonIndex = (increments.length + h - 1) % season;
+    // Downloads never decrease, whatever the trend says
+    const increment = Math.max(
+      0,
+      fit.level + h * fit.trend + fit.seasonal[seasonIndex],
+    );
+    value += increment;
+
+    // Variance of the h-step error of the level and trend components
+    let factor = 1;
+    for (let i = 1; i < h; i++) {
+      factor += (alpha * (1 + i * beta)) ** 2;
+    }
+    variance += fit.sigma * fit.sigma * factor;
+    const spread = z95 * Math.sqrt(variance);
+    result.push({ value, lower: value - spread, upper: value + spread });
+  }
+  return result;
+}
+
+const models = {
+  linear: linearForecast,
+  exponential: exponentialForecast,
+  "holt-winters": holtWintersForecast,
+};
+
+// Validate a --forecast option value ("none" disables forecasting)
+function checkForecastModel(model) {
+  if (model !== "none" && !models[model]) {
+    throw new Error(
+      `Unknown forecast model "${model}", expected one of: ${forecastModels.join(
+        ", ",
+      )}, none`,
+    );
+  }
+  return model;
+}
+
+// Parse a --milestones option value such as "50000,100000"
+function parseMilestones(value) {
+  const milestones = value
+    .split(",")
+    .map((milestone) => Number(milestone.trim()));
+  if (milestones.some((target) => !Number.isInteger(target) || target < 1)) {
+    throw new Error(
+      `--milestones must be a comma-separated list of positive whole download counts, got "${value}"`,
+    );
+  }
+  return milestones;
+}
+
+// Forecast total downloads for the next `days` days from data points
+// ({ timestamp, downloads }, oldest first), fitted on the last `fitDays`
+function forecastDownloads(points, { model, days = 365, fitDays = 90 }) {
+  checkForecastModel(model);
+  const series = dailySeries(points, fitDays);
+  const last = points[points.length - 1];
+  if (series.length < 3) {
+    return null;
+  }
+
+  return {
+    model,
+    fitDays: series.length - 1,
+    points: models[model](series, days).map((point, i) => ({
+      timestamp: last.timestamp + (i + 1) * dayMs,
+      value: Math.round(point.value),
+      // Total downloads cannot drop below today's count
+      lower: Math.round(Math.max(last.downloads, point.lower)),
+      upper: Math.round(point.upper),
+    })),
+  };
+}
+
+// The next `count` round numbers (1, 2, 5, 10, 20, 50, ...) above `downloads`
+function defaultMilestones(downloads, count = 3) {
+  const milestones = [];
+  for (let magnitude = 1; milestones.length < count; magnitude *= 10) {
+    for (const step of [1, 2, 5]) {
+      const target = step * magnitude;
+      if (target > downloads && milestones.length < count) {
+        milestones.push(target);
+      }
+    }
+  }
+  return milestones;
+}
+
+// When the forecast reaches each target: expected, earliest (upper bound)
+// and latest (lower bound) timestamps, null when beyond the forecast. A
+// projected value that is not a finite number before the target is reached
+// means the fit failed: that timestamp is null too, its name is listed in
+// `failed` and `reason` says why (null when every estimate succeeded).
+function estimateMilestones(forecast, targets) {
+  const bounds = { expected: "value", earliest: "upper", latest: "lower" };
+  const firstReaching = (key, target) => {
+    for (const point of forecast.points) {
+      if (!Number.isFinite(point[key])) return undefined;
+      if (point[key] >= target) return point.timestamp;
+    }
+    return null;
+  };
+  return targets.map((target) => {
+    const milestone = { target };
+    const failed = [];
+    for (const [name, key] of Object.entries(bounds)) {
+      const timestamp = firstReaching(key, target);
+      if (timestamp === undefined) failed.push(name);
+      milestone[name] = timestamp === undefined ? null : timestamp;
+    }
+    milestone.failed = failed;
+    milestone.reason =
+      failed.length > 0
+        ? `the ${forecast.model} forecast is not a finite number before reaching ${target}`
+        : null;
+    return milestone;
+  });
+}
+
+// Forecasts of every model for the chart page to switch between, with the
+// milestone estimates of each (the next round numbers unless `milestones`
+// lists targets). Points are compact [timestamp, lower, value, upper] tuples.
+function forecastAllModels(points, { milestones = null } = {}) {
+  const latestDownloads = points[points.length - 1].downloads;
+  const targets = milestones
+    ? milestones.filter((value) => value > latestDownloads)
+    : defaultMilestones(latestDownloads);
+
+  const forecasts = {};
+  for (const model of forecastModels) {
+    const forecast = forecastDownloads(points, {
+      model,
+      days: Math.max(...forecastHorizons),
+    });
+    if (!forecast) continue;
+    forecasts[model] = {
+      fitDays: forecast.fitDays,
+      points: forecast.points.map((point) => [
+        point.timestamp,
+        point.lower,
+        point.value,
+        point.upper,
+      ]),
+      milestones: estimateMilestones(forecast, targets),
+    };
+  }
+  return forecasts;
+}
+
+module.exports = {
+  forecastModels,
+  forecastHorizons,
+  checkForecastModel,
+  parseMilestones,
+  dailySeries,
+  forecastDownloads,
+  defaultMilestones,
+  estimateMilestones,
+  forecastAllModels,
+};
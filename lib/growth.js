@@ -0,0 +1,157 @@
+// Growth rates of the data points ({ timestamp, downloads }, oldest first)
+// over calendar windows. Stats commits are irregular, sometimes hours apart
+// and sometimes days, so rates are measured over time rather than over a
+// number of data points. Intervals between data points that are longer than
+// `gapDays` are gaps: they are left out of every average and the growth right
+// after them is null, instead of spreading the downloads across the gap.
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+const averageMethods = ["window", "ewma"];
+const defaultWindows = [7, 30, 90];
+const defaultGapDays = 3;
+
+// A rate needs at least this much data inside its window
+const minCoveredDays = 0.5;
+
+// Validate a --rolling option value
+function checkAverageMethod(method) {
+  if (!averageMethods.includes(method)) {
+    throw new Error(
+      `Unknown rolling average "${method}", expected one of: ${averageMethods.join(
+        ", ",
+      )}`,
+    );
+  }
+  return method;
+}
+
+// Parse a --windows option value such as "7,30,90"
+function parseWindows(value) {
+  const windows = value.split(",").map((window) => Number(window.trim()));
+  if (windows.some((days) => !Number.isInteger(days) || days < 1)) {
+    throw new Error(
+      `--windows must be a comma-separated list of whole days, got "${value}"`,
+    );
+  }
+  return [...new Set(windows)].sort((a, b) => a - b);
+}
+
+// Parse a --gap-days option value
+function parseGapDays(value) {
+  const days = Number(value);
+  if (!(days > 0)) {
+    throw new Error(`--gap-days must be a positive number, got "${value}"`);
+  }
+  return days;
+}
+
+// Intervals between consecutive points that are longer than `gapDays`, as
+// [{ start, end, days }]
+function findGaps(points, gapDays = defaultGapDays) {
+  const gaps = [];
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1].timestamp;
+    const end = points[i].timestamp;
+    if (end - start > gapDays * dayMs) {
+      gaps.push({ start, end, days: Math.round((end - start) / dayMs) });
+    }
+  }
+  return gaps;
+}
+
+// Average downloads per day over the `windowDays` before points[index].
+// Intervals cut by the window start are counted pro rata, gaps not at all.
+// Null when less than half a day of data falls into the window.
+function windowGrowth(points, index, windowDays, gapDays = defaultGapDays) {
+  const end = points[index].timestamp;
+  const windowStart = end - windowDays * dayMs;
+  let gained = 0;
+  let covered = 0;
+  for (let i = index; i > 0 && points[i].timestamp > windowStart; i--) {
+    const after = points[i];
+    const before = points[i - 1];
+    const length = after.timestamp - before.timestamp;
+    if (length === 0 || length > gapDays * dayMs) continue;
+
+    const overlap = after.timestamp - Math.max(before.timestamp, windowStart);
+    gained += ((after.downloads - before.downloads) * overlap) / length;
+    covered += overlap;
+  }
+  return covered >= minCoveredDays * dayMs ? gained / (covered / dayMs) : null;
+}
+
+// Exponentially weighted average of the downloads per day, with the weight
+// of each interval depending on its length so that `windowDays` is the time
+// constant however often the stats were committed. Gaps don't update the
+// average and are null.
+function ewmaGrowth(points, windowDays, gapDays = defaultGapDays) {
+  let average = null;
+  return points.map((point, i) => {
+    if (i === 0) return null;
+    const length = point.timestamp - points[i - 1].timestamp;
+    if (length > gapDays * dayMs) return null;
+    if (length > 0) {
+      const rate =
+        (point.downloads - points[i - 1].downloads) / (length / dayMs);
+      const weight = 1 - Math.exp(-length / (windowDays * dayMs));
+      average = average === null ? rate : average + weight * (rate - average);
+    }
+    return average;
+  });
+}
+
+const roundOrNull = (value) => (value === null ? null : Math.round(value));
+
+// Downloads gained per day over the 24 hours before each point, rounded
+function dailyGrowthSeries(points, { gapDays = defaultGapDays } = {}) {
+  return points.map((point, index) =>
+    roundOrNull(windowGrowth(points, index, 1, gapDays)),
+  );
+}
+
+// One rolling average of the daily growth per window:
+//   [{ windowDays, method, key, label, values }]
+// with `key` naming the export column and `values` aligned with the points
+function rollingAverages(
+  points,
+  {
+    windows = defaultWindows,
+    method = "window",
+    gapDays = defaultGapDays,
+  } = {},
+) {
+  checkAverageMethod(method);
+  return windows.map((windowDays) => {
+    const values =
+      method === "ewma"
+        ? ewmaGrowth(points, windowDays, gapDays)
+        : points.map((point, index) =>
+            windowGrowth(points, index, windowDays, gapDays),
+          );
+    return {
+      windowDays,
+      method,
+      key: method === "ewma" ? `ewma${windowDays}` : `rollingAvg${windowDays}`,
+      label:
+        method === "ewma"
+          ? `${windowDays}-Day EWMA`
+          : `${windowDays}-Day Rolling Avg`,
+      values: values.map(roundOrNull),
+    };
+  });
+}
+
+module.exports = {
+  averageMethods,
+  defaultWindows,
+  defaultGapDays,
+  checkAverageMethod,
+  parseWindows,
+  parseGapDays,
+  findGaps,
+  windowGrowth,
+  ewmaGrowth,
+  dailyGrowthSeries,
+  rollingAverages,
+};
@@ -0,0 +1,42 @@
+const fs = require("fs");
+
+// Keys inside a history entry's data object that are not version numbers
+const nonVersionKeys = new Set(["downloads", "updated", "dailyGrowth"]);
+
+// Read a history file written by extract-plugin-stats.js, or null if missing
+function readHistoryFile(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Turn a saved history back into the extractor's raw data points, newest
+// first. Histories written before hashes were persisted have hash null.
+function historyToDataPoints(history) {
+  return Object.entries(history)
+    .map(([timestamp, entry]) => {
+      const versions = {};
+      for (const key in entry.data) {
+        if (!nonVersionKeys.has(key)) {
+          versions[key] = entry.data[key];
+        }
+      }
+      return {
+        hash: entry.hash || null,
+        timestamp: parseInt(timestamp),
+        date: entry.date,
+        downloads: entry.data.downloads || 0,
+        dailyGrowth: entry.data.dailyGrowth || 0,
+        versions,
+        rank: entry.rank || null,
+      };
+    })
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+module.exports = {
+  nonVersionKeys,
+  readHistoryFile,
+  historyToDataPoints,
+};
@@ -0,0 +1,201 @@
+// Release impact: the average daily growth in the days before and after each
+// release, and whether the difference is more than day-to-day noise. Works on
+// the daily periods of lib/resample.js so that every sample is one calendar
+// day; days without a data point of their own (gaps) and the partial days at
+// the ends of the history are left out.
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+const defaultImpactDays = 14;
+const significanceLevel = 0.05;
+
+// Each side needs at least this many days to be compared
+const minSampleDays = 3;
+
+// Parse an --impact-days option value
+function parseImpactDays(value) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < minSampleDays) {
+    throw new Error(
+      `--impact-days must be a whole number of at least ${minSampleDays}, got "${value}"`,
+    );
+  }
+  return days;
+}
+
+// Natural log of the gamma function (Lanczos approximation)
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((coefficient, i) => {
+    series += coefficient / (x + 1 + i);
+  });
+  const tmp = x + 5.5;
+  return (
+    (x + 0.5) * Math.log(tmp) -
+    tmp +
+    Math.log((2.5066282746310005 * series) / x)
+  );
+}
+
+// Continued fraction of the incomplete beta function (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + even * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + even / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    const odd = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + odd * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + odd / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+function meanAndVariance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    (values.length - 1);
+  return { mean, variance };
+}
+
+// Welch's t-test for the difference of the means of two samples with
+// possibly different variances. Returns { t, df, p } with a two-sided p.
+function welchTTest(before, after) {
+  const a = meanAndVariance(before);
+  const b = meanAndVariance(after);
+  const errorA = a.variance / before.length;
+  const errorB = b.variance / after.length;
+  const standardError = Math.sqrt(errorA + errorB);
+
+  // Both sides constant: the means either match or clearly differ
+  if (standardError === 0) {
+    return a.mean === b.mean
+      ? { t: 0, df: null, p: 1 }
+      : { t: b.mean > a.mean ? Infinity : -Infinity, df: null, p: 0 };
+  }
+
+  const t = (b.mean - a.mean) / standardError;
+  const df =
+    (errorA + errorB) ** 2 /
+    (errorA ** 2 / (before.length - 1) + errorB ** 2 / (after.length - 1));
+  const p = incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return { t, df, p };
+}
+
+// Impact of every release in `releases` ({ version, date }) on the daily
+// growth, from the daily periods of computeVersionStats(). Compares the
+// `days` full days before the release day with the `days` after it; the
+// release day itself mixes both. Returns one entry per release, null when
+// either side has fewer than three days of data:
+//   before, after - average downloads gained per day
+//   change        - after - before, changePercent relative to before
+//   p             - two-sided p-value of Welch's t-test
+//   impact        - "bump" or "drop" when p < 0.05, "none" otherwise
+//   overlapping   - other releases inside the compared days
+//   daily         - [[day offset, downloads gained or null]] from -days to
+//                   +days, for the before/after mini-chart
+function releaseImpacts(
+  dailyPeriods,
+  releases,
+  { days = defaultImpactDays } = {},
+) {
+  const byStart = new Map(dailyPeriods.map((period) => [period.start, period]));
+  const releaseDay = (release) => {
+    const date = new Date(release.date);
+    return Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate(),
+    );
+  };
+
+  return releases.map((release) => {
+    const start = releaseDay(release);
+    const daily = [];
+    const before = [];
+    const after = [];
+    for (let offset = -days; offset <= days; offset++) {
+      const period = byStart.get(start + offset * dayMs);
+      const usable = period && !period.partial && !period.interpolated;
+      daily.push([offset, usable ? period.gained : null]);
+      if (!usable || offset === 0) continue;
+      (offset < 0 ? before : after).push(period.gained);
+    }
+    if (before.length < minSampleDays || after.length < minSampleDays) {
+      return null;
+    }
+
+    const { p } = welchTTest(before, after);
+    const beforeMean = meanAndVariance(before).mean;
+    const afterMean = meanAndVariance(after).mean;
+    const change = afterMean - beforeMean;
+    const overlapping = releases
+      .filter(
+        (other) =>
+          other !== release &&
+          Math.abs(releaseDay(other) - start) <= days * dayMs,
+      )
+      .map((other) => other.version);
+
+    return {
+      days,
+      before: Math.round(beforeMean),
+      after: Math.round(afterMean),
+      beforeDays: before.length,
+      afterDays: after.length,
+      change: Math.round(change),
+      changePercent:
+        beforeMean > 0 ? Math.round((change / beforeMean) * 1000) / 10 : null,
+      p: Math.round(p * 10000) / 10000,
+      impact: p < significanceLevel ? (change > 0 ? "bump" : "drop") : "none",
+      overlapping,
+      daily,
+    };
+  });
+}
+
+module.exports = {
+  defaultImpactDays,
+  significanceLevel,
+  parseImpactDays,
+  incompleteBeta,
+  welchTTest,
+  releaseImpacts,
+};
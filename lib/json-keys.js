@@ -0,0 +1,106 @@
+// Pick a few top-level keys out of a large JSON object without parsing the
+// rest of it. The stats file holds every community plugin, while the
+// extractor usually only needs a handful of them, so the text is scanned
+// once and only the values of the wanted keys go through JSON.parse.
+
+const quote = 34; // "
+const backslash = 92; // \
+
+// Index just past the string starting at `start` (an opening quote)
+function skipString(text, start) {
+  let end = start;
+  while (true) {
+    end = text.indexOf('"', end + 1);
+    if (end === -1) {
+      throw new SyntaxError("Unterminated string in JSON");
+    }
+    // The quote is escaped if an odd number of backslashes precede it
+    let backslashes = 0;
+    while (text.charCodeAt(end - 1 - backslashes) === backslash) {
+      backslashes++;
+    }
+    if (backslashes % 2 === 0) {
+      return end + 1;
+    }
+  }
+}
+
+const openBrace = 123; // {
+const closeBrace = 125; // }
+const openBracket = 91; // [
+const closeBracket = 93; // ]
+const comma = 44; // ,
+
+// Index just past the value starting at `start`: nested objects and arrays
+// are skipped as a whole, anything else runs up to the next , or }
+function skipValue(text, start) {
+  let depth = 0;
+  let i = start;
+  while (i < text.length) {
+    const char = text.charCodeAt(i);
+    if (char === quote) {
+      i = skipString(text, i);
+      if (depth === 0) return i;
+      continue;
+    }
+    if (char === openBrace || char === openBracket) {
+      depth++;
+    } else if (char === closeBrace || char === closeBracket) {
+      if (depth === 0) return i;
+      depth--;
+      if (depth === 0) return i + 1;
+    } else if (char === comma && depth === 0) {
+      return i;
+    }
+    i++;
+  }
+  throw new SyntaxError("Unexpected end of JSON");
+}
+
+function skipWhitespace(text, i) {
+  while (/\s/.test(text[i] || "")) i++;
+  return i;
+}
+
+// The values of `keys` in the top-level object of `text`, as JSON.parse
+// would return them. Keys that are not present are left out.
+function extractKeys(text, keys) {
+  const wanted = new Set(keys);
+  const result = {};
+  let i = skipWhitespace(text, 0);
+  if (text[i] !== "{") {
+    throw new SyntaxError("Expected a JSON object");
+  }
+  i++;
+
+  while (wanted.size > 0) {
+    i = skipWhitespace(text, i);
+    if (text[i] === "}") break;
+    if (text.charCodeAt(i) !== quote) {
+      throw new SyntaxError(`Unexpected token ${text[i]} in JSON at ${i}`);
+    }
+    const keyEnd = skipString(text, i);
+    const rawKey = text.slice(i + 1, keyEnd - 1);
+    const key = rawKey.includes("\\") ? JSON.parse(`"${rawKey}"`) : rawKey;
+
+    i = skipWhitespace(text, keyEnd);
+    if (text[i] !== ":") {
+      throw new SyntaxError(`Expected : after key "${key}" in JSON`);
+    }
+    const valueStart = skipWhitespace(text, i + 1);
+    const valueEnd = skipValue(text, valueStart);
+    if (wanted.has(key)) {
+      result[key] = JSON.parse(text.slice(valueStart, valueEnd));
+      wanted.delete(key);
+    }
+
+    i = skipWhitespace(text, valueEnd);
+    if (text[i] === ",") i++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  extractKeys,
+};
@@ -0,0 +1,59 @@
+const { themeCss } = require("./themes");
+
+// Styles shared by the chart and comparison pages. Colors come from the CSS
+// variables of the theme (see lib/themes.js).
+const baseCss = `body {
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    margin: 0;
+    padding: 20px;
+    background-color: var(--background);
+    color: var(--text);
+}
+.container {
+    max-width: 1200px;
+    margin: 0 auto;
+    background-color: var(--surface);
+    border-radius: 8px;
+    box-shadow: 0 2px 10px var(--shadow);
+    padding: 20px;
+}
+h1 {
+    text-align: center;
+    color: var(--text);
+    margin-top: 0;
+}
+.controls {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 20px;
+    margin-bottom: 15px;
+    font-size: 14px;
+    color: var(--text);
+}
+.controls select {
+    margin-left: 6px;
+    padding: 3px 6px;
+}
+.chart-container {
+    position: relative;
+    height: 60vh;
+    width: 100%;
+}
+.table-container {
+    overflow-x: auto;
+    margin-top: 30px;
+}
+.num-cell {
+    text-align: right;
+}`;
+
+// The stylesheet of a page: theme variables, shared styles, then its own
+function pageStylesheet(theme, pageCss) {
+  return `${themeCss(theme)}\n${baseCss}\n${pageCss}`;
+}
+
+module.exports = {
+  baseCss,
+  pageStylesheet,
+};
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+// Release information from the plugin's own git clone: the tags with their
+// dates and the sections of its changelog, keyed by version so they can be
+// matched with the versions in community-plugin-stats.json.
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+const changelogFiles = ["CHANGELOG.md", "CHANGES.md", "HISTORY.md"];
+
+// Tag names usually carry a "v" prefix that the stats file doesn't have
+function tagVersion(tag) {
+  return tag.replace(/^v(?=\d)/i, "");
+}
+
+// Every tag as { [version]: { name, date, message } }. The date is the tagger
+// date of annotated tags and the commit date of lightweight ones, which have
+// no message of their own.
+function readTags(repoPath) {
+  const output = execSync(
+    `git for-each-ref refs/tags --format="%(refname:short)%09%(objecttype)%09%(creatordate:unix)%09%(contents:subject)"`,
+    { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] },
+  );
+  const tags = {};
+  for (const line of output.split("\n").filter(Boolean)) {
+    const [name, type, timestamp, message] = line.split("\t");
+    tags[tagVersion(name)] = {
+      name,
+      date: parseInt(timestamp) * 1000,
+      message: type === "tag" && message ? message : null,
+    };
+  }
+  return tags;
+}
+
+// Sections of a Markdown changelog as { [version]: { date, notes } }.
+// Understands the usual heading styles: "## [1.2.3] - 2024-01-31",
+// "## 1.2.3 (2024-01-31)", "### v1.2.3". A section ends at the next version
+// heading, or any other heading of the same or a higher level.
+function parseChangelog(text) {
+  const sections = {};
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      if (current && level <= current.level) {
+        current = null;
+      }
+      const version = heading[2].match(
+        /^\[?v?(\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.-]+)?)\]?/i,
+      );
+      if (version) {
+        const date = heading[2].match(/\d{4}-\d{2}-\d{2}/);
+        current = { level, lines: [] };
+        sections[version[1]] = {
+          date: date ? Date.parse(`${date[0]}T00:00:00Z`) : null,
+          lines: current.lines,
+        };
+        continue;
+      }
+    }
+    if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(sections).map(([version, { date, lines }]) => [
+      version,
+      { date, notes: lines.join("\n").trim() || null },
+    ]),
+  );
+}
+
+// Tags and changelog of a plugin clone, merged by version:
+//   { [version]: { tag, tagDate, notes } }
+// The notes come from the changelog, or the tag message if the changelog
+// has no section for the version. Throws if the path is not a git clone.
+function readReleaseInfo(repoPath) {
+  if (!fs.existsSync(repoPath)) {
+    throw new Error(`Plugin repository '${repoPath}' not found.`);
+  }
+  let tags;
+  try {
+    tags = readTags(repoPath);
+  } catch (error) {
+    throw new Error(
+      `Could not read the tags of '${repoPath}': ${
+        error.stderr ? error.stderr.toString().trim() : error.message
+      }`,
+    );
+  }
+
+  const changelogFile = fs
+    .readdirSync(repoPath)
+    .find((file) =>
+      changelogFiles.some((name) => name.toLowerCase() === file.toLowerCase()),
+    );
+  const changelog = changelogFile
+    ? parseChangelog(
+        fs.readFileSync(path.join(repoPath, changelogFile), "utf8"),
+      )
+    : {};
+
+  const info = {};
+  for (const version of new Set([
+    ...Object.keys(tags),
+    ...Object.keys(changelog),
+  ])) {
+    const tag = tags[version];
+    const section = changelog[version];
+    const tagMessage =
+      tag && tag.message && tagVersion(tag.message) !== version
+        ? tag.message
+        : null;
+    info[version] = {
+      tag: tag ? tag.name : null,
+      // Fall back to the changelog date for versions that were never tagged
+      tagDate: tag ? tag.date : section ? section.date : null,
+      notes: (section && section.notes) || tagMessage,
+    };
+  }
+  return { info, changelogFile: changelogFile || null };
+}
+
+// Days from the tag to the first data point listing the version, one
+// decimal. Null without a tag date, or for versions already present in the
+// first data point, which may have been released long before.
+function statsLagDays(release, tagDate) {
+  if (tagDate === null || release.index === 0) return null;
+  return Math.round(((release.date.getTime() - tagDate) / dayMs) * 10) / 10;
+}
+
+module.exports = {
+  tagVersion,
+  readTags,
+  parseChangelog,
+  readReleaseInfo,
+  statsLagDays,
+};
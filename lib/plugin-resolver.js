@@ -0,0 +1,241 @@
+const { execSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { createSnapshotReader } = require("./stats-git");
+
+const pluginListFile = "community-plugins.json";
+
+// Read the current community plugin list from the working copy
+function readPluginList(repoPath = ".") {
+  const listPath = path.join(repoPath, pluginListFile);
+  if (!fs.existsSync(listPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(listPath, "utf8"));
+}
+
+// Yield older versions of the plugin list, newest first. The lists are read
+// through the batched snapshot reader, so searching all of history for a
+// query that matches nothing doesn't start a git process per commit.
+function* readHistoricalPluginLists(repoPath = ".") {
+  let hashes;
+  try {
+    hashes = execSync(`git log --pretty=format:"%H" -- ${pluginListFile}`, {
+      cwd: repoPath,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .trim()
+      .split("\n")
+      .filter(Boolean);
+  } catch (error) {
+    return; // Not a git repository, nothing to search
+  }
+
+  const readPluginListAt = createSnapshotReader(
+    hashes.map((hash) => ({ hash })),
+    { repoPath, file: pluginListFile },
+  );
+  for (const hash of hashes) {
+    let plugins;
+    try {
+      plugins = readPluginListAt(hash);
+    } catch (error) {
+      // The file may be missing or malformed at this commit, keep going
+      continue;
+    }
+    yield { hash, plugins };
+  }
+}
+
+// Normalize a string for case- and whitespace-insensitive comparison
+function normalize(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// Find plugins matching the query, trying the most specific field first:
+// id, display name, repository slug and finally author.
+function findMatches(query, plugins) {
+  const needle = normalize(query);
+  const matchers = [
+    (plugin) => plugin.id === query,
+    (plugin) => normalize(plugin.id) === needle,
+    (plugin) => normalize(plugin.name) === needle,
+    (plugin) =>
+      normalize(plugin.repo) === needle ||
+      normalize((plugin.repo || "").split("/").pop()) === needle,
+    (plugin) => normalize(plugin.author) === needle,
+  ];
+
+  for (const matcher of matchers) {
+    const matches = plugins.filter(matcher);
+    if (matches.length > 0) {
+      return matches;
+    }
+  }
+  return [];
+}
+
+// Classic Levenshtein edit distance
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Suggest plugins whose id, name or author are close to the query
+function suggestPlugins(query, plugins, limit = 5) {
+  const needle = normalize(query);
+  return plugins
+    .map((plugin) => {
+      const candidates = [plugin.id, plugin.name, plugin.author].map(normalize);
+      const score = Math.min(
+        ...candidates.map((candidate) =>
+          candidate.includes(needle) || needle.includes(candidate)
+            ? Math.abs(candidate.length - needle.length) / 4
+            : editDistance(needle, candidate),
+        ),
+      );
+      return { plugin, score };
+    })
+    .filter(({ score }) => score <= Math.max(3, needle.length / 3))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(({ plugin }) => plugin);
+}
+
+// Resolve a display name, id, repository slug or author name to the plugins
+// listed in community-plugins.json. The current list is searched first; if
+// nothing matches, older versions of the list are searched so that plugins
+// which have since been removed can still be found.
+function resolvePlugin(query, { repoPath = ".", searchHistory = true } = {}) {
+  const currentPlugins = readPluginList(repoPath);
+  if (!currentPlugins) {
+    return { matches: [], suggestions: [], listAvailable: false };
+  }
+
+  const matches = findMatches(query, currentPlugins);
+  if (matches.length > 0) {
+    return { matches, suggestions: [], listAvailable: true };
+  }
+
+  if (searchHistory) {
+    const knownIds = new Set(currentPlugins.map((plugin) => plugin.id));
+    for (const { hash, plugins } of readHistoricalPluginLists(repoPath)) {
+      const removedPlugins = plugins.filter(
+        (plugin) => !knownIds.has(plugin.id),
+      );
+      const historicalMatches = findMatches(query, removedPlugins);
+      if (historicalMatches.length > 0) {
+        return {
+          matches: historicalMatches.map((plugin) => ({
+            ...plugin,
+            removed: true,
+            lastSeenCommit: hash,
+          })),
+          suggestions: [],
+          listAvailable: true,
+        };
+      }
+    }
+  }
+
+  return {
+    matches: [],
+    suggestions: suggestPlugins(query, currentPlugins),
+    listAvailable: true,
+  };
+}
+
+// Human readable one-line description of a plugin
+function describePlugin(plugin) {
+  return `${plugin.name} (id: ${plugin.id}, by ${plugin.author})${
+    plugin.removed ? " [removed from the community list]" : ""
+  }`;
+}
+
+// Resolve a query to exactly one plugin, throwing a descriptive error when it
+// is ambiguous or unknown. Without a plugin list the query is used as the id.
+function resolveSinglePlugin(query, options = {}) {
+  const { matches, suggestions, listAvailable } = resolvePlugin(query, options);
+
+  if (!listAvailable) {
+    return { id: query, name: query };
+  }
+
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  if (matches.length > 1) {
+    throw new Error(
+      `"${query}" matches ${matches.length} plugins:\n` +
+        matches.map((plugin) => `  - ${describePlugin(plugin)}`).join("\n") +
+        "\nPlease pass the id of the plugin you want.",
+    );
+  }
+
+  throw new Error(notFoundMessage(query, suggestions));
+}
+
+// Resolve several queries at once. Unlike resolveSinglePlugin, a query that
+// matches several plugins (e.g. an author name) selects all of them.
+function resolvePluginList(queries, options = {}) {
+  const plugins = new Map();
+  for (const query of queries) {
+    const { matches, suggestions, listAvailable } = resolvePlugin(
+      query,
+      options,
+    );
+
+    if (!listAvailable) {
+      plugins.set(query, { id: query, name: query });
+      continue;
+    }
+
+    if (matches.length === 0) {
+      throw new Error(notFoundMessage(query, suggestions));
+    }
+
+    for (const plugin of matches) {
+      plugins.set(plugin.id, plugin);
+    }
+  }
+  return [...plugins.values()];
+}
+
+function notFoundMessage(query, suggestions) {
+  let message = `Plugin "${query}" not found in ${pluginListFile}.`;
+  if (suggestions.length > 0) {
+    message +=
+      " Did you mean:\n" +
+      suggestions.map((plugin) => `  - ${describePlugin(plugin)}`).join("\n");
+  }
+  return message;
+}
+
+module.exports = {
+  readPluginList,
+  readHistoricalPluginLists,
+  findMatches,
+  suggestPlugins,
+  resolvePlugin,
+  resolveSinglePlugin,
+  resolvePluginList,
+  describePlugin,
+};
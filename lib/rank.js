@@ -0,0 +1,100 @@
+const dayMs = 1000 * 60 * 60 * 24;
+
+// Share of plugins ranked below the given rank, 100 for the top plugin
+function rankPercentile(rank, total) {
+  if (total <= 1) return 100;
+  return Math.round(((total - rank) / (total - 1)) * 1000) / 10;
+}
+
+// Rank the given ids among all entries of `valuesById` (highest value first).
+// Ties share the better rank.
+function rankValues(valuesById, ids) {
+  const values = Object.values(valuesById);
+  const result = {};
+  for (const id of ids) {
+    if (valuesById[id] === undefined) continue;
+    const own = valuesById[id];
+    let rank = 1;
+    for (const value of values) {
+      if (value > own) rank++;
+    }
+    result[id] = {
+      rank,
+      percentile: rankPercentile(rank, values.length),
+      total: values.length,
+    };
+  }
+  return result;
+}
+
+// Track the rank of some plugins among all community plugins, by total
+// downloads and by downloads gained over the last `growthWindowDays`.
+//
+// Snapshots must be added newest first, the order in which the extractor
+// walks the git history. The growth rank of a snapshot can only be computed
+// once a snapshot at least one window older has been seen, so it stays
+// pending until then.
+function createRankTracker(ids, { growthWindowDays = 7 } = {}) {
+  const windowMs = growthWindowDays * dayMs;
+  const ranks = new Map(); // Commit hash -> { [id]: rank }
+  let pending = [];
+
+  function add(commit, statsData, { baselineOnly = false } = {}) {
+    const downloads = {};
+    for (const id in statsData) {
+      downloads[id] = statsData[id].downloads || 0;
+    }
+
+    // This snapshot is the growth baseline of every pending newer snapshot
+    // that is at least one window ahead of it
+    pending = pending.filter((newer) => {
+      if (newer.timestamp - commit.timestamp < windowMs) {
+        return true;
+      }
+      const growth = {};
+      for (const id in newer.downloads) {
+        growth[id] = newer.downloads[id] - (downloads[id] || 0);
+      }
+      const growthRanks = rankValues(growth, ids);
+      const commitRanks = ranks.get(newer.hash);
+      for (const id in growthRanks) {
+        if (!commitRanks[id]) continue;
+        commitRanks[id].growth = growthRanks[id].rank;
+        commitRanks[id].growthPercentile = growthRanks[id].percentile;
+      }
+      return false;
+    });
+
+    if (baselineOnly) {
+      return;
+    }
+
+    const commitRanks = {};
+    const downloadRanks = rankValues(downloads, ids);
+    for (const id in downloadRanks) {
+      commitRanks[id] = {
+        downloads: downloadRanks[id].rank,
+        downloadsPercentile: downloadRanks[id].percentile,
+        growth: null,
+        growthPercentile: null,
+        growthWindowDays,
+        total: downloadRanks[id].total,
+      };
+    }
+    ranks.set(commit.hash, commitRanks);
+    pending.push({ hash: commit.hash, timestamp: commit.timestamp, downloads });
+  }
+
+  return {
+    add,
+    // Snapshots still waiting for an older baseline snapshot
+    hasPending: () => pending.length > 0,
+    rankFor: (hash, id) => (ranks.get(hash) || {})[id] || null,
+  };
+}
+
+module.exports = {
+  rankPercentile,
+  rankValues,
+  createRankTracker,
+};
@@ -0,0 +1,162 @@
+// Resampling of the irregular data points (one per stats commit) onto a
+// regular UTC calendar: days, ISO weeks (starting Monday), months and
+// quarters. Total downloads at the period boundaries are interpolated
+// linearly between the surrounding data points.
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+const granularities = ["day", "week", "month", "quarter"];
+
+// Validate a --granularity option value
+function checkGranularity(granularity) {
+  if (!granularities.includes(granularity)) {
+    throw new Error(
+      `Unknown granularity "${granularity}", expected one of: ${granularities.join(
+        ", ",
+      )}`,
+    );
+  }
+  return granularity;
+}
+
+// Start of the period containing `timestamp`
+function periodStart(timestamp, granularity) {
+  const date = new Date(timestamp);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = Date.UTC(year, month, date.getUTCDate());
+  switch (granularity) {
+    case "day":
+      return day;
+    case "week":
+      return day - ((date.getUTCDay() + 6) % 7) * dayMs; // Back to Monday
+    case "month":
+      return Date.UTC(year, month, 1);
+    case "quarter":
+      return Date.UTC(year, month - (month % 3), 1);
+  }
+  throw new Error(`Unknown granularity "${granularity}"`);
+}
+
+// Start of the period following the one starting at `start`
+function nextPeriodStart(start, granularity) {
+  const date = new Date(start);
+  switch (granularity) {
+    case "day":
+      return start + dayMs;
+    case "week":
+      return start + 7 * dayMs;
+    case "month":
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    case "quarter":
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 3, 1);
+  }
+  throw new Error(`Unknown granularity "${granularity}"`);
+}
+
+// 2024-08-08, 2024-W32, 2024-08 or 2024-Q3
+function periodLabel(start, granularity) {
+  const date = new Date(start);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (granularity) {
+    case "day":
+      return date.toISOString().split("T")[0];
+    case "week": {
+      // The ISO week belongs to the year of its Thursday
+      const thursday = new Date(start + 3 * dayMs);
+      const weekYear = thursday.getUTCFullYear();
+      const week =
+        Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * dayMs)) + 1;
+      return `${weekYear}-W${String(week).padStart(2, "0")}`;
+    }
+    case "month":
+      return `${year}-${String(month + 1).padStart(2, "0")}`;
+    case "quarter":
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+  }
+  throw new Error(`Unknown granularity "${granularity}"`);
+}
+
+// Total downloads at `timestamp`, interpolated between the data points
+// ({ timestamp, downloads }, oldest first) and clamped to the first and last
+function downloadsAt(points, timestamp) {
+  if (timestamp <= points[0].timestamp) return points[0].downloads;
+  const last = points[points.length - 1];
+  if (timestamp >= last.timestamp) return last.downloads;
+
+  // Binary search for the first point at or after the timestamp
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (points[middle].timestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  const after = points[low];
+  const before = points[low - 1];
+  return (
+    before.downloads +
+    ((after.downloads - before.downloads) * (timestamp - before.timestamp)) /
+      (after.timestamp - before.timestamp)
+  );
+}
+
+// One entry per period from the first to the last data point:
+//   start, end   - period boundaries (end is the start of the next period)
+//   label        - see periodLabel()
+//   downloads    - total downloads at the end of the period
+//   gained       - downloads gained during the period
+//   partial      - the data starts or ends within the period
+//   interpolated - no data point falls inside the period, so the gain is
+//                  spread from the surrounding points
+// The gains of all periods add up to the downloads gained over the history.
+function resampleDownloads(points, granularity) {
+  checkGranularity(granularity);
+  const first = points[0].timestamp;
+  const last = points[points.length - 1].timestamp;
+
+  const periods = [];
+  let pointIndex = 0;
+  for (
+    let start = periodStart(first, granularity);
+    start <= last;
+    start = nextPeriodStart(start, granularity)
+  ) {
+    const end = nextPeriodStart(start, granularity);
+    const startDownloads = Math.round(
+      downloadsAt(points, Math.max(start, first)),
+    );
+    const endDownloads = Math.round(downloadsAt(points, Math.min(end, last)));
+
+    let pointsInPeriod = 0;
+    while (pointIndex < points.length && points[pointIndex].timestamp < end) {
+      pointsInPeriod++;
+      pointIndex++;
+    }
+
+    periods.push({
+      start,
+      end,
+      label: periodLabel(start, granularity),
+      downloads: endDownloads,
+      gained: endDownloads - startDownloads,
+      partial: start < first || end > last,
+      interpolated: pointsInPeriod === 0,
+    });
+  }
+  return periods;
+}
+
+module.exports = {
+  granularities,
+  checkGranularity,
+  periodStart,
+  nextPeriodStart,
+  periodLabel,
+  downloadsAt,
+  resampleDownloads,
+};
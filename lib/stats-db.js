@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+const { listStatsCommitsSince } = require("./stats-git");
+
+// The stats database is a directory of plain JSON files:
+//
+// - meta.json      format version, last processed commit and counts
+// - commits.json   every processed stats commit, oldest first. A commit's
+//                  position in this array is its "column" in plugins.ndjson.
+// - plugins.ndjson one line per plugin with its downloads per commit and the
+//                  set of versions whenever that set changed:
+//                  {"id":"...","first":12,"downloads":[10,14,null,20],
+//                   "versions":[[12,["1.0.0"]],[15,["1.0.0","1.1.0"]]]}
+//                  downloads[i] belongs to commit first + i, null means the
+//                  plugin was missing from that commit.
+const formatVersion = 1;
+
+function emptyStatsDb() {
+  return { meta: { format: formatVersion }, commits: [], plugins: new Map() };
+}
+
+// Read a stats database, or null if the directory holds none
+function readStatsDb(dir) {
+  const metaFile = path.join(dir, "meta.json");
+  if (!fs.existsSync(metaFile)) {
+    return null;
+  }
+
+  const meta = JSON.parse(fs.readFileSync(metaFile, "utf8"));
+  if (meta.format !== formatVersion) {
+    throw new Error(
+      `Unsupported stats database format ${meta.format} in ${dir}, rebuild it with --full`,
+    );
+  }
+
+  const commits = JSON.parse(
+    fs.readFileSync(path.join(dir, "commits.json"), "utf8"),
+  );
+  const plugins = new Map();
+  for (const line of fs
+    .readFileSync(path.join(dir, "plugins.ndjson"), "utf8")
+    .split("\n")) {
+    if (!line) continue;
+    const plugin = JSON.parse(line);
+    plugins.set(plugin.id, plugin);
+  }
+  return { meta, commits, plugins };
+}
+
+function writeStatsDb(dir, db) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const lastCommit = db.commits[db.commits.length - 1] || null;
+  db.meta = {
+    format: formatVersion,
+    lastCommit,
+    commitCount: db.commits.length,
+    pluginCount: db.plugins.size,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const lines = [];
+  for (const plugin of db.plugins.values()) {
+    // Trailing nulls carry no information, readers treat them as missing
+    while (
+      plugin.downloads.length > 0 &&
+      plugin.downloads[plugin.downloads.length - 1] === null
+    ) {
+      plugin.downloads.pop();
+    }
+    lines.push(JSON.stringify(plugin));
+  }
+
+  fs.writeFileSync(path.join(dir, "commits.json"), JSON.stringify(db.commits));
+  fs.writeFileSync(path.join(dir, "plugins.ndjson"), lines.join("\n") + "\n");
+  fs.writeFileSync(
+    path.join(dir, "meta.json"),
+    JSON.stringify(db.meta, null, 2),
+  );
+}
+
+// Add one stats snapshot as the next column of the database
+function appendSnapshot(db, commit, statsData) {
+  const column = db.commits.length;
+  db.commits.push({
+    hash: commit.hash,
+    timestamp: commit.timestamp,
+    date: new Date(commit.timestamp).toISOString().split("T")[0],
+  });
+
+  for (const id in statsData) {
+    const pluginData = statsData[id];
+    let plugin = db.plugins.get(id);
+    if (!plugin) {
+      plugin = { id, first: column, downloads: [], versions: [] };
+      db.plugins.set(id, plugin);
+    }
+
+    // Pad commits where the plugin was missing
+    while (plugin.first + plugin.downloads.length < column) {
+      plugin.downloads.push(null);
+    }
+    plugin.downloads.push(pluginData.downloads || 0);
+
+    // Only store the version set when it differs from the previous one
+    const versions = Object.keys(pluginData).filter(
+      (key) => key !== "downloads" && key !== "updated",
+    );
+    const previous = plugin.versions[plugin.versions.length - 1];
+    if (!previous || previous[1].join("\n") !== versions.join("\n")) {
+      plugin.versions.push([column, versions]);
+    }
+  }
+}
+
+// Bring the database in `dir` up to date with the given commits (newest
+// first, as returned by listStatsCommits, from the clone at `repoPath`). Only
+// commits made after the last processed one are read unless `full` is set:
+// found by ancestry, or by timestamp when git doesn't know that commit.
+// `log` and `logError` receive progress and error output, which is silent by
+// default.
+function updateStatsDb(
+  dir,
+  commits,
+  readSnapshot,
+  { full = false, repoPath = ".", log = () => {}, logError = log } = {},
+) {
+  const db = (!full && readStatsDb(dir)) || emptyStatsDb();
+  const lastCommit = db.commits[db.commits.length - 1];
+  const since = lastCommit && listStatsCommitsSince(lastCommit.hash, repoPath);
+
+  const newCommits = [];
+  for (const commit of commits) {
+    if (since) {
+      if (since.has(commit.hash)) newCommits.push(commit);
+      continue;
+    }
+    if (
+      lastCommit &&
+      (commit.hash === lastCommit.hash ||
+        commit.timestamp <= lastCommit.timestamp)
+    ) {
+      break;
+    }
+    newCommits.push(commit);
+  }
+  newCommits.reverse(); // Process oldest first so columns stay chronological
+
+  log(
+    `Processing ${newCommits.length} new commits (${db.commits.length} already in the database)...`,
+  );
+
+  newCommits.forEach((commit, index) => {
+    try {
+      appendSnapshot(db, commit, readSnapshot(commit.hash));
+    } catch (error) {
+      logError(`Error processing commit ${commit.hash}: ${error.message}`);
+    }
+    if ((index + 1) % 100 === 0) {
+      log(`Processed ${index + 1} of ${newCommits.length} commits`);
+    }
+  });
+
+  writeStatsDb(dir, db);
+  log(
+    `Saved ${db.plugins.size} plugins across ${db.commits.length} commits to ${dir}`,
+  );
+  return db;
+}
+
+// Downloads of a plugin at a commit column, or null if it was missing
+function downloadsAt(plugin, column) {
+  const value = plugin.downloads[column - plugin.first];
+  return value === undefined ? null : value;
+}
+
+// Version set of a plugin at a commit column
+function versionsAt(plugin, column) {
+  let versions = [];
+  for (const [start, set] of plugin.versions) {
+    if (start > column) break;
+    versions = set;
+  }
+  return downloadsAt(plugin, column) === null ? [] : versions;
+}
+
+// Downloads of every plugin present at a commit column, keyed by plugin id
+function snapshotAt(db, column) {
+  const snapshot = {};
+  for (const plugin of db.plugins.values()) {
+    const downloads = downloadsAt(plugin, column);
+    if (downloads !== null) {
+      snapshot[plugin.id] = downloads;
+    }
+  }
+  return snapshot;
+}
+
+// All recorded data points of one plugin, oldest first
+function pluginSeries(db, id) {
+  const plugin = db.plugins.get(id);
+  if (!plugin) {
+    return [];
+  }
+  const series = [];
+  for (let column = plugin.first; column < db.commits.length; column++) {
+    const downloads = downloadsAt(plugin, column);
+    if (downloads === null) continue;
+    series.push({
+      ...db.commits[column],
+      downloads,
+      versions: versionsAt(plugin, column),
+    });
+  }
+  return series;
+}
+
+module.exports = {
+  readStatsDb,
+  writeStatsDb,
+  appendSnapshot,
+  updateStatsDb,
+  downloadsAt,
+  versionsAt,
+  snapshotAt,
+  pluginSeries,
+};
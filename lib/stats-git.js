@@ -0,0 +1,179 @@
+const { execSync, spawnSync } = require("child_process");
+const { extractKeys } = require("./json-keys");
+
+const statsFile = "community-plugin-stats.json";
+
+// Get git commits that modified the stats file, newest first
+function listStatsCommits(repoPath = ".") {
+  const gitLogCommand = `git log --pretty=format:"%H %at" -- ${statsFile}`;
+  return execSync(gitLogCommand, { cwd: repoPath, encoding: "utf8" })
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, timestamp] = line.split(" ");
+      return { hash, timestamp: parseInt(timestamp) * 1000 }; // Convert to milliseconds
+    });
+}
+
+// Hashes of the stats commits that are not ancestors of `hash`, i.e. the ones
+// made after it however their timestamps compare (author dates are not
+// monotonic). Null if git doesn't know the commit, e.g. in another clone.
+function listStatsCommitsSince(hash, repoPath = ".") {
+  const result = spawnSync(
+    "git",
+    ["rev-list", `${hash}..HEAD`, "--", statsFile],
+    { cwd: repoPath, encoding: "utf8", maxBuffer: 64 * 1024 * 1024 },
+  );
+  if (result.error || result.status !== 0) {
+    return null;
+  }
+  return new Set(result.stdout.split("\n").filter(Boolean));
+}
+
+// Get the parsed stats file content at a commit. Starts one git process per
+// call, use createSnapshotReader() to read many commits.
+function readStatsSnapshot(hash, repoPath = ".") {
+  const fileContent = execSync(`git show ${hash}:${statsFile}`, {
+    cwd: repoPath,
+    encoding: "utf8",
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  return JSON.parse(fileContent);
+}
+
+// Run git cat-file with one object name per line on stdin
+function catFile(mode, names, repoPath, maxBuffer) {
+  const result = spawnSync("git", ["cat-file", mode], {
+    cwd: repoPath,
+    input: names.map((name) => `${name}\n`).join(""),
+    maxBuffer,
+  });
+  if (result.error) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(`git cat-file failed: ${result.stderr.toString().trim()}`);
+  }
+  return result.stdout;
+}
+
+// Blob hash and size of the stats file (or another `file`) at each commit,
+// from a single `git cat-file --batch-check`. Missing files have blob null.
+function statStatsBlobs(commits, repoPath = ".", file = statsFile) {
+  const output = catFile(
+    "--batch-check",
+    commits.map((commit) => `${commit.hash}:${file}`),
+    repoPath,
+    commits.length * 128 + 1024,
+  ).toString("utf8");
+  return output
+    .split("\n")
+    .slice(0, commits.length)
+    .map((line) => {
+      const [blob, type, size] = line.split(" ");
+      return type === "blob"
+        ? { blob, size: parseInt(size, 10) }
+        : { blob: null, size: 0 };
+    });
+}
+
+// Contents of the given blobs from a single `git cat-file --batch`, keyed by
+// blob hash
+function readBlobs(blobs, totalSize, repoPath) {
+  const output = catFile(
+    "--batch",
+    blobs,
+    repoPath,
+    totalSize + blobs.length * 128 + 1024,
+  );
+  const contents = new Map();
+  let position = 0;
+  while (position < output.length) {
+    const headerEnd = output.indexOf(10, position); // \n
+    const [blob, , size] = output
+      .toString("latin1", position, headerEnd)
+      .split(" ");
+    const start = headerEnd + 1;
+    const end = start + parseInt(size, 10);
+    contents.set(blob, output.toString("utf8", start, end));
+    position = end + 1; // Content is followed by a newline
+  }
+  return contents;
+}
+
+// Read the stats file at many commits through a few git processes instead of
+// one per commit. `commits` must be in the order they will be read; blobs are
+// fetched ahead in chunks that double in size up to `chunkBytes`, so runs that
+// stop after a few commits don't read much more than they need.
+//
+// Commits where the file did not change share the blob of the previous one
+// and reuse its parsed content. With `keys`, only those top-level keys (plugin
+// ids) are parsed out of each snapshot. `file` reads another JSON file of the
+// repository the same way, e.g. the community plugin list.
+//
+// Returns read(hash), which returns the (partial) snapshot like
+// readStatsSnapshot() and throws if the file is missing at that commit.
+function createSnapshotReader(
+  commits,
+  {
+    repoPath = ".",
+    keys = null,
+    chunkBytes = 64 * 1024 * 1024,
+    file = statsFile,
+  } = {},
+) {
+  const blobs = statStatsBlobs(commits, repoPath, file);
+  const indexByHash = new Map(commits.map((commit, i) => [commit.hash, i]));
+  let contents = new Map();
+  let chunkLimit = 4 * 1024 * 1024;
+  let lastBlob = null;
+  let lastSnapshot = null;
+
+  // Fetch the blobs of the commits from `index` on, up to the chunk limit
+  function loadChunk(index) {
+    const chunk = new Set();
+    let totalSize = 0;
+    for (let i = index; i < commits.length; i++) {
+      const { blob, size } = blobs[i];
+      if (!blob || chunk.has(blob)) continue;
+      if (chunk.size > 0 && totalSize + size > chunkLimit) break;
+      chunk.add(blob);
+      totalSize += size;
+    }
+    contents = readBlobs([...chunk], totalSize, repoPath);
+    chunkLimit = Math.min(chunkLimit * 2, chunkBytes);
+  }
+
+  return function read(hash) {
+    const index = indexByHash.get(hash);
+    if (index === undefined) {
+      throw new Error(`Commit ${hash} was not passed to the snapshot reader`);
+    }
+    const { blob } = blobs[index];
+    if (!blob) {
+      throw new Error(`${file} not found in commit ${hash}`);
+    }
+    if (blob === lastBlob) {
+      return lastSnapshot;
+    }
+    if (!contents.has(blob)) {
+      loadChunk(index);
+    }
+    const text = contents.get(blob);
+    contents.delete(blob);
+
+    lastSnapshot = keys ? extractKeys(text, keys) : JSON.parse(text);
+    lastBlob = blob;
+    return lastSnapshot;
+  };
+}
+
+module.exports = {
+  statsFile,
+  listStatsCommits,
+  listStatsCommitsSince,
+  readStatsSnapshot,
+  statStatsBlobs,
+  createSnapshotReader,
+};
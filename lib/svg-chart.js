@@ -0,0 +1,337 @@
+// Static rendering of the download chart as SVG (and PNG through the optional
+// @resvg/resvg-js package), for places that can't run JavaScript such as
+// READMEs and release notes.
+
+const { toTheme } = require("./themes");
+
+const monthNames = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Parse a "1200x600" size option
+function parseSize(size) {
+  const match = /^(\d+)x(\d+)$/.exec(String(size));
+  if (!match || Number(match[1]) < 200 || Number(match[2]) < 150) {
+    throw new Error(
+      `Invalid image size "${size}", expected WIDTHxHEIGHT of at least 200x150`,
+    );
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// Evenly spaced "nice" ticks (1, 2 or 5 times a power of ten) from zero
+function niceTicks(max, count = 5) {
+  if (max <= 0) return [0, 1];
+  const rough = max / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step =
+    [1, 2, 5, 10].map((factor) => factor * magnitude).find((s) => s >= rough) ||
+    10 * magnitude;
+  const ticks = [];
+  for (let value = 0; value < max + step; value += step) {
+    ticks.push(value);
+  }
+  return ticks;
+}
+
+// First-of-month ticks, every 1, 2, 3, 6, 12 or 24 months to fit the width
+function monthTicks(start, end, maxTicks) {
+  const first = new Date(start);
+  const months =
+    (new Date(end).getUTCFullYear() - first.getUTCFullYear()) * 12 +
+    new Date(end).getUTCMonth() -
+    first.getUTCMonth();
+  const step = [1, 2, 3, 6, 12, 24].find((s) => months / s <= maxTicks) || 48;
+  const ticks = [];
+  const date = new Date(
+    Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 1),
+  );
+  while (date.getTime() <= end) {
+    if ((date.getUTCFullYear() * 12 + date.getUTCMonth()) % step === 0) {
+      ticks.push({
+        timestamp: date.getTime(),
+        label: `${monthNames[date.getUTCMonth()]} ${date.getUTCFullYear()}`,
+      });
+    }
+    date.setUTCMonth(date.getUTCMonth() + 1);
+  }
+  return ticks;
+}
+
+function formatCompact(value) {
+  if (value >= 1e6) return `${Math.round(value / 1e5) / 10}M`;
+  if (value >= 1e3) return `${Math.round(value / 1e2) / 10}k`;
+  return String(Math.round(value));
+}
+
+// Build a path through the points, starting a new subpath after each gap
+function linePath(points) {
+  let d = "";
+  let drawing = false;
+  for (const point of points) {
+    if (!point) {
+      drawing = false;
+      continue;
+    }
+    d += `${drawing ? "L" : "M"}${point[0].toFixed(1)},${point[1].toFixed(1)}`;
+    drawing = true;
+  }
+  return d;
+}
+
+// Render a chart spec as an SVG document. The spec describes what the page
+// shows:
+//   title       - chart title
+//   timestamps  - x values shared by all series
+//   series      - [{ label, color, values, axis: "left" | "right", width,
+//                  dash, fill, legend }], values aligned with timestamps
+//                  (null for gaps)
+//   annotations - [{ timestamp, label, color }] drawn as vertical lines
+//   bands       - [{ start, end }] time ranges shaded behind the series
+//   axisTitles  - { left, right }
+// The background and text colors come from `theme`, a theme name or a
+// resolveTheme() result; "auto" renders with the light colors.
+function renderSvgChart(spec, { width = 1200, height = 600, theme = "light" }) {
+  const { colors: themeColors } = toTheme(theme);
+  const colors = {
+    background: themeColors.surface,
+    text: themeColors.text,
+    muted: themeColors.textMuted,
+    grid: themeColors.grid,
+    axis: themeColors.axis,
+  };
+
+  const fontSize = Math.max(10, Math.round(height / 50));
+  const legendSeries = spec.series.filter((series) => series.legend !== false);
+  const plot = {
+    left: fontSize * 6,
+    right: width - fontSize * 5,
+    top: fontSize * 5.5,
+    bottom: height - fontSize * 3,
+  };
+
+  const start = spec.timestamps[0];
+  const end = spec.timestamps[spec.timestamps.length - 1];
+  const x = (timestamp) =>
+    plot.left +
+    ((timestamp - start) / Math.max(1, end - start)) * (plot.right - plot.left);
+
+  const axisMax = (axis) =>
+    Math.max(
+      0,
+      ...spec.series
+        .filter((series) => series.axis === axis)
+        .flatMap((series) => series.values.filter((value) => value !== null)),
+    );
+  const leftTicks = niceTicks(axisMax("left"));
+  const rightTicks = niceTicks(axisMax("right"));
+  const scale = (ticks) => (value) =>
+    plot.bottom - (value / ticks[ticks.length - 1]) * (plot.bottom - plot.top);
+  const y = { left: scale(leftTicks), right: scale(rightTicks) };
+
+  const parts = [];
+  parts.push(
+    `<rect width="${width}" height="${height}" fill="${colors.background}"/>`,
+  );
+  parts.push(
+    `<text x="${width / 2}" y="${
+      fontSize * 1.8
+    }" text-anchor="middle" font-size="${
+      fontSize * 1.4
+    }" font-weight="bold" fill="${colors.text}">${escapeXml(
+      spec.title,
+    )}</text>`,
+  );
+
+  // Legend, centred below the title
+  const entryWidths = legendSeries.map(
+    (series) => fontSize * 2.5 + series.label.length * fontSize * 0.6,
+  );
+  let legendX =
+    (width - entryWidths.reduce((sum, entryWidth) => sum + entryWidth, 0)) / 2;
+  legendSeries.forEach((series, i) => {
+    const legendY = fontSize * 3.4;
+    parts.push(
+      `<line x1="${legendX}" y1="${legendY}" x2="${
+        legendX + fontSize * 1.6
+      }" y2="${legendY}" stroke="${series.color}" stroke-width="3"${
+        series.dash ? ` stroke-dasharray="${series.dash.join(" ")}"` : ""
+      }/>`,
+      `<text x="${legendX + fontSize * 2}" y="${
+        legendY + fontSize * 0.35
+      }" font-size="${fontSize}" fill="${colors.text}">${escapeXml(
+        series.label,
+      )}</text>`,
+    );
+    legendX += entryWidths[i];
+  });
+
+  // Grid and value axes
+  leftTicks.forEach((tick) => {
+    const tickY = y.left(tick);
+    parts.push(
+      `<line x1="${plot.left}" y1="${tickY}" x2="${plot.right}" y2="${tickY}" stroke="${colors.grid}"/>`,
+      `<text x="${plot.left - fontSize * 0.5}" y="${
+        tickY + fontSize * 0.35
+      }" text-anchor="end" font-size="${fontSize}" fill="${
+        colors.muted
+      }">${formatCompact(tick)}</text>`,
+    );
+  });
+  rightTicks.forEach((tick) => {
+    parts.push(
+      `<text x="${plot.right + fontSize * 0.5}" y="${
+        y.right(tick) + fontSize * 0.35
+      }" font-size="${fontSize}" fill="${colors.muted}">${formatCompact(
+        tick,
+      )}</text>`,
+    );
+  });
+  const axisTitles = spec.axisTitles || {};
+  if (axisTitles.left) {
+    const centerY = (plot.top + plot.bottom) / 2;
+    parts.push(
+      `<text x="${fontSize * 1.2}" y="${centerY}" transform="rotate(-90 ${
+        fontSize * 1.2
+      } ${centerY})" text-anchor="middle" font-size="${fontSize}" fill="${
+        colors.text
+      }">${escapeXml(axisTitles.left)}</text>`,
+    );
+  }
+  if (axisTitles.right) {
+    const titleX = width - fontSize * 1.2;
+    const centerY = (plot.top + plot.bottom) / 2;
+    parts.push(
+      `<text x="${titleX}" y="${centerY}" transform="rotate(90 ${titleX} ${centerY})" text-anchor="middle" font-size="${fontSize}" fill="${
+        colors.text
+      }">${escapeXml(axisTitles.right)}</text>`,
+    );
+  }
+
+  // Time axis
+  const maxTicks = Math.max(
+    2,
+    Math.floor((plot.right - plot.left) / (fontSize * 7)),
+  );
+  for (const tick of monthTicks(start, end, maxTicks)) {
+    const tickX = x(tick.timestamp);
+    parts.push(
+      `<line x1="${tickX}" y1="${plot.bottom}" x2="${tickX}" y2="${
+        plot.bottom + fontSize * 0.4
+      }" stroke="${colors.axis}"/>`,
+      `<text x="${tickX}" y="${
+        plot.bottom + fontSize * 1.6
+      }" text-anchor="middle" font-size="${fontSize}" fill="${colors.muted}">${
+        tick.label
+      }</text>`,
+    );
+  }
+  parts.push(
+    `<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="${colors.axis}"/>`,
+  );
+
+  // Shaded time ranges, behind everything that is plotted
+  for (const band of spec.bands || []) {
+    parts.push(
+      `<rect x="${x(band.start).toFixed(1)}" y="${plot.top}" width="${(
+        x(band.end) - x(band.start)
+      ).toFixed(1)}" height="${plot.bottom - plot.top}" fill="${
+        colors.muted
+      }" fill-opacity="0.12"/>`,
+    );
+  }
+
+  // Series: filled areas first, lines on top
+  for (const series of spec.series) {
+    const points = series.values.map((value, i) =>
+      value === null || value === undefined
+        ? null
+        : [x(spec.timestamps[i]), y[series.axis](value)],
+    );
+    if (series.fill) {
+      const present = points.filter(Boolean);
+      if (present.length > 1) {
+        parts.push(
+          `<path d="${linePath(present)}L${present[
+            present.length - 1
+          ][0].toFixed(1)},${plot.bottom}L${present[0][0].toFixed(1)},${
+            plot.bottom
+          }Z" fill="${series.color}" fill-opacity="0.13" stroke="none"/>`,
+        );
+      }
+    }
+    parts.push(
+      `<path d="${linePath(points)}" fill="none" stroke="${
+        series.color
+      }" stroke-width="${series.width || 2}" stroke-linejoin="round"${
+        series.dash ? ` stroke-dasharray="${series.dash.join(" ")}"` : ""
+      }/>`,
+    );
+  }
+
+  // Release annotations
+  for (const annotation of spec.annotations || []) {
+    const annotationX = x(annotation.timestamp);
+    parts.push(
+      `<line x1="${annotationX}" y1="${plot.top}" x2="${annotationX}" y2="${plot.bottom}" stroke="${annotation.color}" stroke-width="1.5" stroke-dasharray="5 5"/>`,
+      `<text x="${annotationX + 3}" y="${
+        plot.top + fontSize
+      }" transform="rotate(90 ${annotationX + 3} ${
+        plot.top + fontSize
+      })" font-size="${fontSize * 0.85}" fill="${annotation.color}">${escapeXml(
+        annotation.label,
+      )}</text>`,
+    );
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">
+${parts.join("\n")}
+</svg>
+`;
+}
+
+// Convert an SVG document to PNG with @resvg/resvg-js, which is optional and
+// only needed for PNG output
+function svgToPng(svg) {
+  let Resvg;
+  try {
+    const modulePath = require.resolve("@resvg/resvg-js", {
+      paths: [process.cwd(), __dirname],
+    });
+    ({ Resvg } = require(modulePath));
+  } catch (error) {
+    throw new Error(
+      "PNG output needs the @resvg/resvg-js package (npm install @resvg/resvg-js@2.6.2). SVG output works without it.",
+    );
+  }
+  return new Resvg(svg, {
+    font: { loadSystemFonts: true },
+  })
+    .render()
+    .asPng();
+}
+
+module.exports = {
+  parseSize,
+  renderSvgChart,
+  svgToPng,
+};
@@ -0,0 +1,296 @@
+const fs = require("fs");
+
+// Color themes of the chart pages and images. A theme is a set of named
+// colors that the pages receive as CSS variables (dailyGrowth becomes
+// --daily-growth), so the stylesheet and the charts read the same values,
+// plus optionally a palette for the version lines. "auto" uses the light colors and
+// switches to the dark ones when the browser prefers a dark color scheme.
+
+const themes = {
+  light: {
+    scheme: "light",
+    colors: {
+      background: "#f5f5f5", // Page
+      surface: "#ffffff", // Content and images
+      surfaceMuted: "#f8f9fa", // Stats, table headers and buttons
+      text: "#333333",
+      textMuted: "#6c757d",
+      border: "#dee2e6",
+      borderMuted: "#e9ecef",
+      accent: "#0066cc",
+      accentText: "#ffffff",
+      positive: "#28a745",
+      negative: "#dc3545",
+      shadow: "#0000001a",
+      grid: "#e9ecef",
+      axis: "#adb5bd",
+      crosshair: "#aaaaaa",
+      dailyGrowth: "#000000",
+      rolling1: "#ff5733",
+      rolling2: "#3498db",
+      rolling3: "#27ae60",
+      rolling4: "#7f8c8d",
+      downloadRank: "#8e44ad",
+      growthRank: "#16a085",
+      anomaly: "#e74c3c",
+      forecast: "#6c757d",
+      periodBars: "#3498db",
+      prerelease: "#999999",
+      gap: "#8080801f",
+      impactBefore: "#bbbbbb",
+      impactRelease: "#666666",
+      impactAverage: "#333333",
+    },
+  },
+  dark: {
+    scheme: "dark",
+    colors: {
+      background: "#141414",
+      surface: "#1e1e1e",
+      surfaceMuted: "#262626",
+      text: "#dcddde",
+      textMuted: "#999999",
+      border: "#3a3a3a",
+      borderMuted: "#333333",
+      accent: "#3d8bfd",
+      accentText: "#ffffff",
+      positive: "#3fb950",
+      negative: "#f85149",
+      shadow: "#00000080",
+      grid: "#333333",
+      axis: "#555555",
+      crosshair: "#777777",
+      dailyGrowth: "#dcddde",
+      rolling1: "#ff7b5c",
+      rolling2: "#5dade2",
+      rolling3: "#2ecc71",
+      rolling4: "#95a5a6",
+      downloadRank: "#b07cd8",
+      growthRank: "#1abc9c",
+      anomaly: "#ff6b5b",
+      forecast: "#999999",
+      periodBars: "#5dade2",
+      prerelease: "#888888",
+      gap: "#ffffff14",
+      impactBefore: "#555555",
+      impactRelease: "#999999",
+      impactAverage: "#dcddde",
+    },
+  },
+  // The default dark look of Obsidian, with its purple accent
+  obsidian: {
+    scheme: "dark",
+    colors: {
+      background: "#161616",
+      surface: "#1e1e1e",
+      surfaceMuted: "#262626",
+      text: "#dadada",
+      textMuted: "#999999",
+      border: "#363636",
+      borderMuted: "#2a2a2a",
+      accent: "#7f6df2",
+      accentText: "#ffffff",
+      positive: "#44cf6e",
+      negative: "#fb464c",
+      shadow: "#00000080",
+      grid: "#2f2f2f",
+      axis: "#555555",
+      crosshair: "#666666",
+      dailyGrowth: "#dadada",
+      rolling1: "#e9973f",
+      rolling2: "#53dfdd",
+      rolling3: "#44cf6e",
+      rolling4: "#999999",
+      downloadRank: "#a882ff",
+      growthRank: "#e0de71",
+      anomaly: "#fb464c",
+      forecast: "#999999",
+      periodBars: "#7f6df2",
+      prerelease: "#777777",
+      gap: "#ffffff14",
+      impactBefore: "#4a4a4a",
+      impactRelease: "#999999",
+      impactAverage: "#dadada",
+    },
+  },
+};
+
+const themeNames = [...Object.keys(themes), "auto"];
+
+// Validate a --theme option value
+function checkTheme(name) {
+  if (!themeNames.includes(name)) {
+    throw new Error(
+      `Unknown theme "${name}", expected one of: ${themeNames.join(", ")}`,
+    );
+  }
+  return name;
+}
+
+// Theme colors are hex so that the pages can add transparency: #rgb and
+// #rrggbb, or #rrggbbaa for colors that are transparent themselves
+function normalizeColor(color, name) {
+  if (typeof color !== "string" || !/^#[0-9a-f]+$/i.test(color)) {
+    throw new Error(`${name} must be a hex color such as #3498db`);
+  }
+  if (color.length === 4) {
+    return `#${[...color.slice(1)].map((digit) => digit + digit).join("")}`;
+  }
+  if (color.length !== 7 && color.length !== 9) {
+    throw new Error(`${name} must be a hex color such as #3498db`);
+  }
+  return color.toLowerCase();
+}
+
+// Read a user theme file: JSON with colors overriding those of the theme
+// and a palette for the version lines, both optional:
+//   { "colors": { "accent": "#7c3aed" }, "versionColors": ["#...", ...] }
+function readThemeFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Theme file '${file}' not found.`);
+  }
+  let theme;
+  try {
+    theme = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read theme file '${file}': ${error.message}`);
+  }
+
+  const colors = {};
+  for (const [name, color] of Object.entries(theme.colors || {})) {
+    if (!(name in themes.light.colors)) {
+      throw new Error(
+        `${file}: unknown color "${name}", expected one of: ${Object.keys(
+          themes.light.colors,
+        ).join(", ")}`,
+      );
+    }
+    colors[name] = normalizeColor(color, `${file}: colors.${name}`);
+  }
+
+  let versionColors = null;
+  if (theme.versionColors !== undefined) {
+    if (
+      !Array.isArray(theme.versionColors) ||
+      theme.versionColors.length === 0
+    ) {
+      throw new Error(`${file}: versionColors must be a list of colors`);
+    }
+    // Version colors get transparency appended, so no alpha of their own
+    versionColors = theme.versionColors.map((color, i) => {
+      const normalized = normalizeColor(color, `${file}: versionColors[${i}]`);
+      if (normalized.length !== 7) {
+        throw new Error(`${file}: versionColors[${i}] must be #rgb or #rrggbb`);
+      }
+      return normalized;
+    });
+  }
+  return { colors, versionColors };
+}
+
+// The theme to render with, from a theme name and the optional content of
+// a theme file:
+//   { name, scheme, colors, darkColors, versionColors }
+// darkColors is only set for "auto"; images use `colors`. versionColors is
+// the theme file's palette, or null to use the --palette option.
+function resolveTheme(name = "light", custom = null) {
+  checkTheme(name);
+  const override = (colors) => ({ ...colors, ...(custom && custom.colors) });
+  const base = name === "auto" ? themes.light : themes[name];
+  return {
+    name,
+    scheme: name === "auto" ? "light dark" : base.scheme,
+    colors: override(base.colors),
+    darkColors: name === "auto" ? override(themes.dark.colors) : null,
+    versionColors: (custom && custom.versionColors) || null,
+  };
+}
+
+// Renderers take a theme name or a theme returned by resolveTheme()
+function toTheme(theme) {
+  return typeof theme === "string" ? resolveTheme(theme) : theme;
+}
+
+// --daily-growth for dailyGrowth, --rolling-1 for rolling1
+function cssVariable(name) {
+  return `--${name.replace(/([a-z])([A-Z0-9])/g, "$1-$2").toLowerCase()}`;
+}
+
+function cssVariables(colors) {
+  return Object.entries(colors)
+    .map(([name, color]) => `    ${cssVariable(name)}: ${color};`)
+    .join("\n");
+}
+
+// The CSS variables of a theme, with the dark colors of "auto" behind a
+// prefers-color-scheme media query
+function themeCss(theme) {
+  const css = `:root {
+    color-scheme: ${theme.scheme};
+${cssVariables(theme.colors)}
+}`;
+  if (!theme.darkColors) return css;
+  return `${css}
+@media (prefers-color-scheme: dark) {
+:root {
+${cssVariables(theme.darkColors)}
+}
+}`;
+}
+
+// Page script helpers shared by the chart and comparison pages. Chart.js
+// draws on a canvas and can't use CSS variables, so the charts read the
+// theme colors from the page and take them again when "auto" switches
+// between light and dark. Datasets and annotations name their colors in a
+// `theme` property, e.g. { borderColor: 'rolling1', backgroundColor:
+// ['rolling1', 0.15] } for a color with transparency.
+const themeScript = `// Color of the theme by its name in lib/themes.js, optionally with
+        // transparency
+        function themeColor(name, alpha) {
+            const variable = '--' + name.replace(/([a-z])([A-Z0-9])/g, '$1-$2').toLowerCase();
+            const color = getComputedStyle(document.documentElement).getPropertyValue(variable).trim();
+            if (alpha === undefined) return color;
+            return color.slice(0, 7) + Math.round(alpha * 255).toString(16).padStart(2, '0');
+        }
+
+        // Set the colors named in the theme property of a dataset or an
+        // annotation and its label
+        function applyThemeColors(item) {
+            if (item.theme) {
+                Object.keys(item.theme).forEach(function(property) {
+                    const color = [].concat(item.theme[property]);
+                    item[property] = themeColor(color[0], color[1]);
+                });
+            }
+            if (item.label && typeof item.label === 'object') {
+                applyThemeColors(item.label);
+            }
+            return item;
+        }
+
+        // Text and grid colors of all charts
+        function applyChartTheme() {
+            Chart.defaults.color = themeColor('text-muted');
+            Chart.defaults.borderColor = themeColor('grid');
+        }
+        applyChartTheme();
+
+        // Call back when the browser switches between light and dark
+        function onColorSchemeChange(callback) {
+            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', function() {
+                applyChartTheme();
+                callback();
+            });
+        }`;
+
+module.exports = {
+  themes,
+  themeNames,
+  checkTheme,
+  normalizeColor,
+  readThemeFile,
+  resolveTheme,
+  toTheme,
+  themeCss,
+  themeScript,
+};
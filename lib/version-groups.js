@@ -0,0 +1,177 @@
+const {
+  compareVersions,
+  versionLine,
+  versionLineModes,
+} = require("./versions");
+
+// Version groups: all releases of a major (1.x) or minor (1.4.x) line as one
+// band of the chart and one expandable row of the version table. A group is
+// active wherever one of its versions is: from each release to the next
+// release of any version, like the periods of single versions. Backports can
+// split a group into several runs of data points; its metrics add up over
+// all of them.
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+const groupModes = versionLineModes;
+
+// Validate a --group option value
+function checkGroupMode(mode) {
+  if (!groupModes.includes(mode)) {
+    throw new Error(
+      `Unknown version grouping "${mode}", expected one of: ${groupModes.join(
+        ", ",
+      )}`,
+    );
+  }
+  return mode;
+}
+
+// "v1.x" for a major line, "v1.4.x" for a minor one
+function groupLabel(key) {
+  return `v${key}.x`;
+}
+
+// The version active at every data point: the latest release at or before
+// it, the semantically newest one when several appeared at once (null
+// before the first release)
+function activeReleases(dataPoints, versionReleases) {
+  const active = dataPoints.map(() => null);
+  versionReleases
+    .slice()
+    .sort((a, b) => a.index - b.index || compareVersions(a.version, b.version))
+    .forEach((release) => {
+      for (let i = release.index; i < active.length; i++) {
+        active[i] = release;
+      }
+    });
+  return active;
+}
+
+// Sum of the non-null values at each data point, null where all are null
+function sumSeries(series, length) {
+  return Array.from({ length }, (_, index) => {
+    const values = series
+      .map((values) => values[index])
+      .filter((value) => value !== null && value !== undefined);
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) * 10) / 10;
+  });
+}
+
+// Group the stable releases of a model from lib/version-stats.js by major or
+// minor line, in version order:
+//   [{ key, label, versions, release, runs: [{ start, end }], downloads,
+//      downloadChange, durationDays, avgDailyGrowth, versionDownloads,
+//      shareAtNextGroup, downloadSeries, adoptionSeries }]
+// `release` is the first release of the group and `runs` are the ranges of
+// data points (end exclusive) where the group was active.
+function groupVersions(
+  {
+    dataPoints,
+    downloadCounts,
+    versionReleases,
+    versionDownloadSeries,
+    versionAdoptionSeries,
+  },
+  by,
+) {
+  const groups = new Map();
+  versionReleases.forEach((release, i) => {
+    const key = versionLine(release.version, by);
+    if (!groups.has(key)) groups.set(key, { key, members: [] });
+    groups.get(key).members.push(i);
+  });
+
+  // Runs of consecutive data points where the active version is in a group
+  const active = activeReleases(dataPoints, versionReleases);
+  const runs = [];
+  active.forEach((release, index) => {
+    const key = release && versionLine(release.version, by);
+    const last = runs[runs.length - 1];
+    if (last && last.key === key) {
+      last.end = index + 1;
+    } else {
+      runs.push({ key, start: index, end: index + 1 });
+    }
+  });
+
+  return [...groups.values()]
+    .map(({ key, members }) => {
+      const releases = members.map((i) => versionReleases[i]);
+      const first = releases.reduce((earliest, release) =>
+        release.index < earliest.index ? release : earliest,
+      );
+      const groupRuns = runs
+        .filter((run) => run.key === key)
+        .map(({ start, end }) => ({ start, end }));
+
+      // Like a single version, each run counts from its first to its last
+      // data point
+      const downloadChange = groupRuns.reduce(
+        (sum, { start, end }) =>
+          sum + downloadCounts[end - 1] - downloadCounts[start],
+        0,
+      );
+      const durationMs = groupRuns.reduce(
+        (sum, { start, end }) =>
+          sum +
+          dataPoints[end - 1].date.getTime() -
+          dataPoints[start].date.getTime(),
+        0,
+      );
+      const durationDays = Math.round(durationMs / dayMs);
+
+      // Share of all downloads the group's versions held when the next group
+      // first appeared
+      const nextRun = runs.find(
+        (run) => run.start > first.index && run.key !== key && run.key,
+      );
+      const nextPoint = nextRun && dataPoints[nextRun.start];
+      const shareAtNextGroup =
+        nextPoint && nextPoint.downloads > 0
+          ? Math.round(
+              (releases.reduce(
+                (sum, release) =>
+                  sum + (nextPoint.versions[release.version] || 0),
+                0,
+              ) /
+                nextPoint.downloads) *
+                1000,
+            ) / 10
+          : null;
+
+      return {
+        key,
+        label: groupLabel(key),
+        versions: releases.map((release) => release.version),
+        release: first,
+        runs: groupRuns,
+        downloads: first.downloads,
+        downloadChange,
+        durationDays,
+        avgDailyGrowth: Math.round(downloadChange / Math.max(1, durationDays)),
+        versionDownloads: releases.reduce(
+          (sum, release) => sum + release.versionDownloads,
+          0,
+        ),
+        shareAtNextGroup,
+        downloadSeries: sumSeries(
+          members.map((i) => versionDownloadSeries[i]),
+          dataPoints.length,
+        ),
+        adoptionSeries: sumSeries(
+          members.map((i) => versionAdoptionSeries[i]),
+          dataPoints.length,
+        ),
+      };
+    })
+    .sort((a, b) => compareVersions(a.versions[0], b.versions[0]));
+}
+
+module.exports = {
+  groupModes,
+  checkGroupMode,
+  groupLabel,
+  groupVersions,
+};
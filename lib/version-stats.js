@@ -0,0 +1,410 @@
+const { isPrerelease, compareVersions } = require("./versions");
+const { granularities, resampleDownloads } = require("./resample");
+const { defaultImpactDays, releaseImpacts } = require("./impact");
+const { statsLagDays } = require("./plugin-repo");
+const { groupVersions } = require("./version-groups");
+const {
+  defaultWindows,
+  defaultGapDays,
+  findGaps,
+  dailyGrowthSeries,
+  rollingAverages,
+} = require("./growth");
+
+// Everything the chart shows about one plugin, computed from its history
+// file: the data points (oldest first) tagged with the version current at
+// each point, per-version release metrics, per-version download and adoption
+// series, the daily growth with its rolling averages over `windows` days
+// (lib/growth.js), the gaps in the data, the downloads gained per calendar
+// period and the impact of each release on the growth (lib/impact.js).
+// `releaseInfo` adds the tags and release notes read from the plugin's own
+// clone (lib/plugin-repo.js). `groupBy` "major" or "minor" also groups the
+// versions by their line (lib/version-groups.js). Returns plain data, with
+// no rendering or file access.
+function computeVersionStats(
+  history,
+  {
+    prereleases = "mark",
+    windows = defaultWindows,
+    rolling = "window",
+    gapDays = defaultGapDays,
+    impactDays = defaultImpactDays,
+    releaseInfo = null,
+    groupBy = "none",
+    log = () => {},
+  } = {},
+) {
+  // Convert the data into a chronologically ordered array
+  const dataPoints = Object.entries(history)
+    .map(([timestamp, entry]) => ({
+      date: new Date(parseInt(timestamp)), // Use the timestamp directly from the key
+      downloads: entry.data.downloads || 0,
+      rank: entry.rank || null, // Only present when extracted with --rank
+      versions: Object.entries(entry.data)
+        .filter(
+          ([key]) =>
+            key !== "downloads" && key !== "updated" && key !== "dailyGrowth",
+        )
+        .reduce((acc, [version, count]) => {
+          acc[version] = count;
+          return acc;
+        }, {}),
+    }))
+    .sort((a, b) => a.date - b.date); // Sort by date ascending
+
+  if (dataPoints.length === 0) {
+    throw new Error("The history contains no data points.");
+  }
+
+  // Drop pre-release versions entirely if requested
+  if (prereleases === "exclude") {
+    dataPoints.forEach((point) => {
+      for (const version of Object.keys(point.versions)) {
+        if (isPrerelease(version)) delete point.versions[version];
+      }
+    });
+  }
+
+  // In "mark" mode pre-releases are shown as separate annotations and table
+  // rows, but never start a version segment of their own
+  const isMarkedPrerelease = (version) =>
+    prereleases === "mark" && isPrerelease(version);
+
+  // Determine the current version for each data point
+  // Start with no version and update it when we find a new one
+  let currentVersion = null;
+  dataPoints.forEach((point) => {
+    // Check if this data point has new versions
+    const versions = Object.keys(point.versions).filter(
+      (version) => !isMarkedPrerelease(version),
+    );
+    if (versions.length > 0) {
+      // Find newest version using semver comparison
+      const newestVersion = versions.sort((a, b) => compareVersions(b, a))[0];
+
+      // Update current version if this is newer
+      if (!currentVersion || versions.includes(currentVersion)) {
+        currentVersion = newestVersion;
+      }
+    }
+
+    // Tag this data point with the current version
+    point.currentVersion = currentVersion;
+  });
+
+  // Create arrays for chart data
+  const dates = dataPoints.map((point) => point.date.toISOString());
+  const downloadCounts = dataPoints.map((point) => point.downloads);
+
+  // Daily growth over the 24 hours before each point, null after gaps. The
+  // dailyGrowth stored in older history files divides by fractional days
+  // between commits, so it is recomputed from the downloads.
+  const growthPoints = dataPoints.map((point) => ({
+    timestamp: point.date.getTime(),
+    downloads: point.downloads,
+  }));
+  const gaps = findGaps(growthPoints, gapDays);
+  const gapEnds = new Set(gaps.map((gap) => gap.end));
+  dailyGrowthSeries(growthPoints, { gapDays }).forEach((growth, index) => {
+    dataPoints[index].dailyGrowth = growth;
+    dataPoints[index].afterGap = gapEnds.has(growthPoints[index].timestamp);
+  });
+  const derivativeData = dataPoints.map((point) => ({
+    x: point.date.toISOString(),
+    y: point.dailyGrowth,
+  }));
+  const oldestDate = dataPoints[0].date.getTime();
+  const newestDate = dataPoints[dataPoints.length - 1].date.getTime();
+
+  // Get version release points for annotations and dataset segmentation
+  const versionReleases = [];
+  const prereleaseReleases = []; // Only filled in "mark" mode
+  const processedVersions = new Set();
+
+  // First, collect all versions
+  dataPoints.forEach((point, index) => {
+    const versions = Object.keys(point.versions);
+    versions.forEach((version) => {
+      if (!processedVersions.has(version)) {
+        processedVersions.add(version);
+
+        // Log found versions for debugging
+        log(
+          `Found version ${version} at index ${index} (${
+            point.date.toISOString().split("T")[0]
+          })`,
+        );
+
+        const release = {
+          version,
+          date: point.date,
+          index,
+          downloads: point.downloads,
+        };
+        if (isMarkedPrerelease(version)) {
+          prereleaseReleases.push(release);
+        } else {
+          versionReleases.push(release);
+        }
+      }
+    });
+  });
+
+  log(`Total unique versions found: ${versionReleases.length}`);
+  if (prereleaseReleases.length > 0) {
+    log(`Pre-releases shown as markers only: ${prereleaseReleases.length}`);
+  }
+
+  // Sort version releases by semantic version number (oldest first)
+  versionReleases.sort((a, b) => compareVersions(a.version, b.version));
+
+  // Calculate additional metrics for each version
+  for (let i = 0; i < versionReleases.length; i++) {
+    const currentVersionRelease = versionReleases[i];
+    const currentVersionStartIndex = currentVersionRelease.index;
+
+    // Handle cases where a semantically later version supersedes the current one at the exact same data point index
+    if (i < versionReleases.length - 1) {
+      const semanticallyNextVersionRelease = versionReleases[i + 1];
+      if (semanticallyNextVersionRelease.index === currentVersionStartIndex) {
+        // This version is immediately superseded by a semantically later one at the same data point.
+        // Assign zero effective duration and impact.
+        currentVersionRelease.endDownloads = currentVersionRelease.downloads;
+        currentVersionRelease.downloadChange = 0;
+        currentVersionRelease.durationDays = 0;
+        currentVersionRelease.avgDailyGrowth = 0;
+
+        // Log this specific case
+        log(
+          `Version ${currentVersionRelease.version} (at index ${currentVersionStartIndex}) is superseded by ${semanticallyNextVersionRelease.version} (also at index ${semanticallyNextVersionRelease.index}) at the same data point. Setting zero duration and impact.`,
+        );
+        continue; // Move to the next version in versionReleases
+      }
+    }
+
+    // If not superseded at the same data point index, determine the end of its active period.
+    // The period ends when the *next chronologically occurring* version (from versionReleases) starts.
+    let nextChronologicalReleaseStartIndex = dataPoints.length; // Default: current version's period extends to the end of data
+
+    for (const otherRelease of versionReleases) {
+      // Consider only other releases that start *after* the current one's start index
+      if (otherRelease.index > currentVersionStartIndex) {
+        if (otherRelease.index < nextChronologicalReleaseStartIndex) {
+          // This is the earliest chronological next release found so far
+          nextChronologicalReleaseStartIndex = otherRelease.index;
+        }
+      }
+    }
+    // Now, 'nextChronologicalReleaseStartIndex' is the index in 'dataPoints' where the next version's period effectively starts.
+    // The current version's active period spans dataPoints[currentVersionStartIndex] through dataPoints[nextChronologicalReleaseStartIndex - 1].
+
+    // The index of the last data point for the current version's period.
+    // This index must be valid for accessing dataPoints and downloadCounts.
+    // Since dataPoints is non-empty (checked earlier) and currentVersionStartIndex is a valid index (>=0):
+    // - nextChronologicalReleaseStartIndex will be > currentVersionStartIndex OR equal to dataPoints.length.
+    // - Therefore, nextChronologicalReleaseStartIndex >= 1 (assuming dataPoints.length >= 1).
+    // - So, (nextChronologicalReleaseStartIndex - 1) will be >= 0.
+    // - Also, nextChronologicalReleaseStartIndex <= dataPoints.length, so (nextChronologicalReleaseStartIndex - 1) <= dataPoints.length - 1.
+    // This makes 'lastDataPointIndexForCurrentVersion' a safe index.
+    const lastDataPointIndexForCurrentVersion =
+      nextChronologicalReleaseStartIndex - 1;
+
+    const startDownloads = currentVersionRelease.downloads;
+    // Ensure access is within bounds, though logic above should guarantee it for non-empty dataPoints
+    const endDownloads =
+      lastDataPointIndexForCurrentVersion >= 0 &&
+      lastDataPointIndexForCurrentVersion < downloadCounts.length
+        ? downloadCounts[lastDataPointIndexForCurrentVersion]
+        : downloadCounts.length > 0
+        ? downloadCounts[downloadCounts.length - 1]
+        : startDownloads; // Fallback if array empty or index issue
+
+    const downloadChange = endDownloads - startDownloads;
+
+    const startDate = dataPoints[currentVersionStartIndex].date;
+    const endDate =
+      lastDataPointIndexForCurrentVersion >= 0 &&
+      lastDataPointIndexForCurrentVersion < dataPoints.length
+        ? dataPoints[lastDataPointIndexForCurrentVersion].date
+        : dataPoints.length > 0
+        ? dataPoints[dataPoints.length - 1].date
+        : startDate; // Fallback
+
+    // Calculate duration in days
+    const durationMs = endDate.getTime() - startDate.getTime();
+    // Math.max(1, ...) ensures duration is at least 1 day, even if start and end are the same or very close.
+    // This also prevents division by zero for avgDailyGrowth if durationMs is 0.
+    const durationDays = Math.max(
+      1,
+      Math.round(durationMs / (1000 * 60 * 60 * 24)),
+    );
+
+    // Calculate average daily growth
+    const avgDailyGrowth = Math.round(downloadChange / durationDays); // durationDays is guaranteed >= 1
+
+    // Add calculated metrics to the version release object
+    currentVersionRelease.endDownloads = endDownloads;
+    currentVersionRelease.downloadChange = downloadChange;
+    currentVersionRelease.durationDays = durationDays;
+    currentVersionRelease.avgDailyGrowth = avgDailyGrowth;
+  }
+
+  // Per-version download counts: how many downloads each version has gathered,
+  // and what share of all downloads it held when the next version appeared
+  const latestVersionDownloads = (version) => {
+    const lastPointWithVersion = dataPoints
+      .slice()
+      .reverse()
+      .find((point) => point.versions[version] !== undefined);
+    return lastPointWithVersion ? lastPointWithVersion.versions[version] : 0;
+  };
+  prereleaseReleases.forEach((release) => {
+    release.versionDownloads = latestVersionDownloads(release.version);
+  });
+  versionReleases.forEach((release) => {
+    const { version } = release;
+    release.versionDownloads = latestVersionDownloads(version);
+
+    const nextReleaseIndex = Math.min(
+      ...versionReleases
+        .filter((other) => other.index > release.index)
+        .map((other) => other.index),
+    );
+    const nextReleasePoint = dataPoints[nextReleaseIndex]; // undefined for the latest
+    release.shareAtNextRelease =
+      nextReleasePoint && nextReleasePoint.downloads > 0
+        ? Math.round(
+            ((nextReleasePoint.versions[version] || 0) /
+              nextReleasePoint.downloads) *
+              1000,
+          ) / 10
+        : null;
+  });
+
+  // Downloads per version at every data point, for the stacked breakdown view
+  const versionDownloadSeries = versionReleases.map((release) =>
+    dataPoints.map((point) => {
+      const count = point.versions[release.version];
+      return count === undefined ? null : count;
+    }),
+  );
+
+  // Share of the downloads gained since the previous data point that went to
+  // each version, for the adoption view
+  const versionAdoptionSeries = versionReleases.map(() => []);
+  dataPoints.forEach((point, index) => {
+    const previous = dataPoints[index - 1];
+    const gains = versionReleases.map((release) => {
+      if (!previous) return 0;
+      const gain =
+        (point.versions[release.version] || 0) -
+        (previous.versions[release.version] || 0);
+      return Math.max(0, gain);
+    });
+    const totalGain = gains.reduce((sum, gain) => sum + gain, 0);
+    gains.forEach((gain, versionIndex) => {
+      versionAdoptionSeries[versionIndex].push(
+        totalGain > 0 ? Math.round((gain / totalGain) * 1000) / 10 : null,
+      );
+    });
+  });
+
+  // Use index of the first version release in the sorted data
+  const firstVersionIdx =
+    versionReleases.length > 0 ? versionReleases[0].index : 0;
+
+  // Downloads gained per calendar day, week, month and quarter
+  const periods = Object.fromEntries(
+    granularities.map((granularity) => [
+      granularity,
+      resampleDownloads(growthPoints, granularity),
+    ]),
+  );
+
+  // Growth in the days before and after each release
+  releaseImpacts(periods.day, versionReleases, { days: impactDays }).forEach(
+    (impact, index) => {
+      versionReleases[index].impact = impact;
+    },
+  );
+
+  // Tag date, release notes and the delay until the version showed up in the
+  // stats, when the plugin's own clone was read
+  const hasReleaseInfo = Boolean(releaseInfo);
+  if (releaseInfo) {
+    versionReleases.concat(prereleaseReleases).forEach((release) => {
+      const info = releaseInfo[release.version] || {};
+      release.tag = info.tag || null;
+      release.tagDate = info.tagDate || null;
+      release.notes = info.notes || null;
+      release.statsLagDays = statsLagDays(release, release.tagDate);
+    });
+  }
+
+  // Rank is only present when the history was extracted with --rank
+  const hasRank = dataPoints.some((point) => point.rank);
+  const latestRank = hasRank
+    ? dataPoints.filter((point) => point.rank).pop().rank
+    : null;
+
+  // Version table rows: stable releases plus marked pre-releases, in version order
+  const versionTableRows = versionReleases
+    .map((release, colorIndex) => ({ ...release, colorIndex }))
+    .concat(
+      prereleaseReleases.map((release) => ({ ...release, prerelease: true })),
+    )
+    .sort((a, b) => compareVersions(a.version, b.version));
+
+  // Major or minor version groups with their aggregated metrics
+  const versionGroups =
+    groupBy === "none"
+      ? null
+      : groupVersions(
+          {
+            dataPoints,
+            downloadCounts,
+            versionReleases,
+            versionDownloadSeries,
+            versionAdoptionSeries,
+          },
+          groupBy,
+        );
+
+  // Daily growth averaged over calendar windows, as { x, y } points
+  const averages = rollingAverages(growthPoints, {
+    windows,
+    method: rolling,
+    gapDays,
+  }).map(({ values, ...average }) => ({
+    ...average,
+    data: values.map((y, index) => ({ x: dates[index], y })),
+  }));
+
+  return {
+    dataPoints,
+    dates,
+    downloadCounts,
+    derivativeData,
+    oldestDate,
+    newestDate,
+    versionReleases,
+    prereleaseReleases,
+    firstVersionIdx,
+    versionDownloadSeries,
+    versionAdoptionSeries,
+    rollingAverages: averages,
+    gaps,
+    periods,
+    impactDays,
+    hasReleaseInfo,
+    hasRank,
+    latestRank,
+    versionTableRows,
+    groupBy,
+    versionGroups,
+  };
+}
+
+module.exports = {
+  computeVersionStats,
+};
@@ -0,0 +1,108 @@
+// How pre-release versions (1.2.0-beta, 1.2.0-rc.1, ...) are handled:
+// - exclude: drop them entirely
+// - include: treat them like any other version
+// - mark:    keep them, but show them distinctly from stable releases
+const prereleaseModes = ["exclude", "include", "mark"];
+
+// Versions can be grouped by their major (1.x) or minor (1.2.x) line
+const versionLineModes = ["none", "major", "minor"];
+
+// Split a version into its numeric core, pre-release identifiers and build
+// metadata following semver, while tolerating versions like "1.2" or "v1.2.3"
+function parseVersion(version) {
+  const withoutBuild = String(version).replace(/^v/i, "").split("+");
+  const build = withoutBuild.slice(1).join("+") || null;
+  const dashIndex = withoutBuild[0].indexOf("-");
+  const core =
+    dashIndex === -1 ? withoutBuild[0] : withoutBuild[0].slice(0, dashIndex);
+  const prerelease =
+    dashIndex === -1 ? null : withoutBuild[0].slice(dashIndex + 1);
+
+  return {
+    parts: core.split(".").map((part) => parseInt(part, 10) || 0),
+    prerelease: prerelease ? prerelease.split(".") : null,
+    build,
+  };
+}
+
+function isPrerelease(version) {
+  return parseVersion(version).prerelease !== null;
+}
+
+// Compare two pre-release identifiers per semver: numeric identifiers
+// numerically and below alphanumeric ones, the rest in ASCII order
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) return parseInt(a, 10) - parseInt(b, 10);
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Helper function to compare semantic versions correctly
+function compareVersions(a, b) {
+  const aVersion = parseVersion(a);
+  const bVersion = parseVersion(b);
+
+  // Compare version numbers (major.minor.patch)
+  const length = Math.max(aVersion.parts.length, bVersion.parts.length);
+  for (let i = 0; i < length; i++) {
+    const aPart = aVersion.parts[i] || 0;
+    const bPart = bVersion.parts[i] || 0;
+    if (aPart !== bPart) {
+      return aPart - bPart;
+    }
+  }
+
+  // If base versions are the same, consider pre-release tags
+  // Versions with no pre-release tag come AFTER those with one (per semver spec)
+  if (!aVersion.prerelease && !bVersion.prerelease) return 0;
+  if (!aVersion.prerelease) return 1;
+  if (!bVersion.prerelease) return -1;
+
+  // Both have pre-release tags, compare them identifier by identifier
+  const count = Math.max(
+    aVersion.prerelease.length,
+    bVersion.prerelease.length,
+  );
+  for (let i = 0; i < count; i++) {
+    if (aVersion.prerelease[i] === undefined) return -1; // Fewer identifiers sort first
+    if (bVersion.prerelease[i] === undefined) return 1;
+    const result = compareIdentifiers(
+      aVersion.prerelease[i],
+      bVersion.prerelease[i],
+    );
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+// The major ("1") or minor ("1.2") line of a version, pre-releases
+// included: 1.2.0-beta belongs to 1.2
+function versionLine(version, by) {
+  const { parts } = parseVersion(version);
+  return by === "major" ? `${parts[0]}` : `${parts[0]}.${parts[1] || 0}`;
+}
+
+// Validate a --prereleases option value
+function checkPrereleaseMode(mode) {
+  if (!prereleaseModes.includes(mode)) {
+    throw new Error(
+      `Unknown pre-release mode "${mode}", expected one of: ${prereleaseModes.join(
+        ", ",
+      )}`,
+    );
+  }
+  return mode;
+}
+
+module.exports = {
+  prereleaseModes,
+  versionLineModes,
+  parseVersion,
+  versionLine,
+  isPrerelease,
+  compareVersions,
+  checkPrereleaseMode,
+};
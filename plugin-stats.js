@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+// Single entry point for the extractor and the chart generator:
+//   node plugin-stats.js <command> [plugins...] [options]
+// Every command runs one of the scripts next to this file, so all of their
+// options work here as well. Defaults can be kept in a config file.
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { extractOptions, chartOptions } = require("./lib/cli-options");
+const { resolvePluginList } = require("./lib/plugin-resolver");
+
+const extractScript = path.join(__dirname, "extract-plugin-stats.js");
+const chartScript = path.join(__dirname, "generate-download-chart.js");
+const defaultConfigFile = "plugin-stats.config.json";
+
+const commands = {
+  extract: {
+    description: "Extract download histories from an obsidian-releases clone",
+    script: extractScript,
+    options: extractOptions,
+  },
+  chart: {
+    description: "Generate the interactive download chart of a plugin",
+    script: chartScript,
+    options: chartOptions,
+  },
+  export: {
+    description:
+      "Write the chart metrics as CSV, JSON and Markdown (--export all by default)",
+    script: chartScript,
+    options: chartOptions,
+    defaults: { export: "all" },
+    args: ["--export-only"],
+  },
+  compare: {
+    description: "Overlay several plugins on one comparison page",
+    script: chartScript,
+    options: chartOptions,
+    args: ["--compare"],
+  },
+  report: {
+    description:
+      "Extract the histories, then write the chart and all exports for each plugin",
+  },
+};
+
+function printHelp() {
+  console.log(`Usage: node plugin-stats.js <command> [plugins...] [options]
+
+Commands:
+${Object.entries(commands)
+  .map(([name, command]) => `  ${name.padEnd(9)}${command.description}`)
+  .join("\n")}
+
+Options for every command:
+  --repo <path>       obsidian-releases clone (default: current directory)
+  --out-dir <dir>     Directory for history files and generated output
+  --config <file>     Config file with defaults (default: ${defaultConfigFile})
+  -h, --help          Show help, or the options of a command
+
+Run "node plugin-stats.js <command> --help" for the options of a command.`);
+}
+
+// Split raw arguments into positionals and options ({ name, value, args }),
+// using the option definitions to know which options take a value
+function splitArgs(argv, optionSpecs) {
+  const shortNames = {};
+  for (const [name, spec] of Object.entries(optionSpecs)) {
+    if (spec.short) shortNames[spec.short] = name;
+  }
+
+  const positionals = [];
+  const options = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+    const [flag, ...inlineValue] = arg.split("=");
+    const name = flag.startsWith("--")
+      ? flag.slice(2)
+      : shortNames[flag.slice(1)];
+    const spec = optionSpecs[name];
+    if (spec && spec.type === "string" && inlineValue.length === 0) {
+      const value = argv[i + 1];
+      options.push({
+        name,
+        value,
+        args: [arg, ...(++i < argv.length ? [value] : [])],
+      });
+    } else {
+      options.push({ name, value: inlineValue.join("="), args: [arg] });
+    }
+  }
+  return {
+    positionals,
+    options,
+    optionArgs: options.flatMap((option) => option.args),
+  };
+}
+
+// Turn config values into arguments for the options a script knows
+function configArgs(values, optionSpecs) {
+  const args = [];
+  for (const [name, value] of Object.entries(values || {})) {
+    const spec = optionSpecs[name];
+    if (!spec || value === false || value === null) continue;
+    if (spec.type === "boolean") {
+      args.push(`--${name}`);
+    } else {
+      args.push(`--${name}`, String(value));
+    }
+  }
+  return args;
+}
+
+function readConfig(argv) {
+  const index = argv.findIndex(
+    (arg) => arg === "--config" || arg.startsWith("--config="),
+  );
+  let file = defaultConfigFile;
+  if (index !== -1) {
+    file = argv[index].includes("=")
+      ? argv[index].split("=").slice(1).join("=")
+      : argv[index + 1];
+    argv.splice(index, argv[index].includes("=") ? 1 : 2);
+    if (!file || !fs.existsSync(file)) {
+      throw new Error(`Config file '${file}' not found.`);
+    }
+  } else if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse config file '${file}': ${error.message}`);
+  }
+}
+
+// Top-level config values, without the per-command sections. "export" and
+// "compare" are both command names and chart options, so sections win.
+function sharedConfig(config) {
+  const shared = { ...config };
+  delete shared.plugins;
+  for (const name of Object.keys(commands)) {
+    delete shared[name];
+  }
+  return shared;
+}
+
+// Config file defaults go first so that command line options override them.
+// Top-level keys apply to every command, a section named after the command
+// only to that command.
+function buildArgs(name, command, argv, config) {
+  const { positionals, optionArgs } = splitArgs(argv, command.options);
+  return [
+    ...(command.args || []),
+    ...configArgs(command.defaults, command.options),
+    ...configArgs(sharedConfig(config), command.options),
+    ...configArgs(config[name], command.options),
+    ...optionArgs,
+    ...(positionals.length > 0 ? positionals : config.plugins || []),
+  ];
+}
+
+function run(script, args) {
+  const result = spawnSync(process.execPath, [script, ...args], {
+    stdio: "inherit",
+  });
+  if (result.status !== 0) {
+    process.exit(result.status === null ? 1 : result.status);
+  }
+}
+
+// Extract and chart in one go: options are passed to whichever script knows
+// them, positionals are resolved once so each plugin gets its own chart
+function runReport(argv, config) {
+  const { positionals, options } = splitArgs(argv, {
+    ...extractOptions,
+    ...chartOptions,
+  });
+  const queries = positionals.length > 0 ? positionals : config.plugins || [];
+  if (queries.length === 0) {
+    throw new Error("No plugins given for the report.");
+  }
+
+  // Per-plugin histories and pages only
+  const reportOptions = { ...sharedConfig(config), ...config.report };
+  for (const unsupported of ["combined", "all", "compare", "export-only"]) {
+    if (
+      options.some((option) => option.name === unsupported) ||
+      reportOptions[unsupported]
+    ) {
+      throw new Error(`--${unsupported} can't be used with report.`);
+    }
+  }
+
+  // Only pass each option to the scripts that define it
+  const optionsFor = (optionSpecs) =>
+    options
+      .filter((option) => option.name in optionSpecs)
+      .flatMap((option) => option.args);
+
+  const repoOption = options.filter((option) => option.name === "repo").pop();
+  const plugins = resolvePluginList(queries, {
+    repoPath: repoOption ? repoOption.value : reportOptions.repo || ".",
+  });
+
+  run(extractScript, [
+    ...configArgs(sharedConfig(config), extractOptions),
+    ...configArgs(config.extract, extractOptions),
+    ...configArgs(config.report, extractOptions),
+    ...optionsFor(extractOptions),
+    ...plugins.map((plugin) => plugin.id),
+  ]);
+  for (const plugin of plugins) {
+    run(chartScript, [
+      ...configArgs({ export: "all" }, chartOptions),
+      ...configArgs(sharedConfig(config), chartOptions),
+      ...configArgs(config.chart, chartOptions),
+      ...configArgs(config.report, chartOptions),
+      ...optionsFor(chartOptions),
+      plugin.id,
+    ]);
+  }
+}
+
+const [name, ...argv] = process.argv.slice(2);
+if (!name || name === "--help" || name === "-h" || name === "help") {
+  printHelp();
+  process.exit(name ? 0 : 1);
+}
+
+const command = commands[name];
+if (!command) {
+  console.error(`Error: Unknown command "${name}".`);
+  printHelp();
+  process.exit(1);
+}
+
+if (argv.includes("--help") || argv.includes("-h")) {
+  console.log(`node plugin-stats.js ${name}: ${command.description}\n`);
+  if (command.script) {
+    run(command.script, ["--help"]);
+  } else {
+    console.log(
+      "Takes the plugins and any option of the extract and chart commands:\n",
+    );
+    run(extractScript, ["--help"]);
+    run(chartScript, ["--help"]);
+  }
+  process.exit(0);
+}
+
+try {
+  const config = readConfig(argv);
+  if (command.script) {
+    run(command.script, buildArgs(name, command, argv, config));
+  } else {
+    runReport(argv, config);
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}